@@ -0,0 +1,191 @@
+import _ from 'lodash';
+
+import _Response from '../../lib/classes/Response';
+
+import upload from '../helpers/upload';
+import urlUtil from '../helpers/url';
+
+// AbortControllers of the requests that are currently in flight by the url of their connection, aborted when it disconnects,
+// requests that don't belong to a url passed into connect are kept under ''
+const controllers = {};
+
+// the longest url passed into connect a (full) request url starts with
+function getConnectionUrl(url) {
+  const connectionUrl = _.max(_.filter(_.keys(controllers), (_url) => {
+    return !!_url && url.indexOf(_url) === 0;
+  }), 'length');
+
+  return typeof connectionUrl === 'string' ? connectionUrl : '';
+}
+
+function hasHeader(headers, name) {
+  return _.some(_.keys(headers), (key) => {
+    return key.toLowerCase() === name.toLowerCase();
+  });
+}
+
+const methodsWithoutBody = ['GET', 'HEAD', 'OPTIONS'];
+
+function parseResponse(response, method, responseType) {
+  const contentType = response.headers.get('Content-Type') || '';
+
+  // responses to HEAD requests and 304s never have a body
+  if (method === 'HEAD' || response.status === 304) {
+    return Promise.resolve();
+  } else if (responseType === 'blob') {
+    return response.blob();
+  } else if (responseType === 'arraybuffer') {
+    return response.arrayBuffer();
+  } else if (responseType === 'text') {
+    return response.text();
+  } else if (responseType === 'json' || contentType.indexOf('application/json') !== -1) {
+    return response.json();
+  } else if (contentType.indexOf('text/') === 0 || contentType.indexOf('xml') !== -1) {
+    return response.text();
+  } else if (response.status === 204) {
+    return Promise.resolve();
+  }
+
+  return response.blob();
+}
+
+// reads the body while reporting progress, resolves with a Response containing the body that has been read
+function readWithProgress(response, onProgress) {
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    return Promise.resolve(response);
+  }
+
+  const reader = response.body.getReader();
+  const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+  const chunks = [];
+  let loaded = 0;
+
+  const read = () => {
+    return reader.read()
+      .then((result) => {
+        if (result.done) {
+          return new Response(new Blob(chunks), {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+          });
+        }
+
+        chunks.push(result.value);
+        loaded += result.value.length;
+        onProgress({loaded, total});
+
+        return read();
+      });
+  };
+
+  return read();
+}
+
+function execute(url, init, options = {}) {
+  const controller = new AbortController();
+
+  if (options.cancellation) {
+    options.cancellation.onCancel(() => {
+      controller.abort();
+    });
+  }
+
+  init.signal = controller.signal;
+  init.credentials = init.credentials || 'same-origin';
+
+  const connectionUrl = getConnectionUrl(url);
+
+  controllers[connectionUrl] = controllers[connectionUrl] || [];
+  controllers[connectionUrl].push(controller);
+
+  const release = () => {
+    _.pull(controllers[connectionUrl] || [], controller);
+  };
+
+  return fetch(url, init)
+    .then((response) => {
+      return typeof options.onProgress === 'function' ? readWithProgress(response, options.onProgress) : response;
+    })
+    .then((response) => {
+      release();
+
+      return parseResponse(response, init.method, options.responseType)
+        .then((body) => {
+          const _response = {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            body,
+            raw: response
+          };
+
+          // a 304 answers a conditional request, fetch doesn't consider it ok
+          return response.ok || response.status === 304 ? _Response.resolve(_response) : _Response.reject(_response);
+        });
+    }, (err) => {
+      release();
+
+      return _Response.reject({
+        status: 0,
+        raw: err
+      }, err.message);
+    });
+}
+
+const Fetch = {
+
+  name: 'Fetch',
+
+  capabilities: ['request', 'upload', 'binary', 'streaming', 'cancellation'],
+
+  connect(url) {
+    controllers[url] = controllers[url] || [];
+
+    return Promise.resolve();
+  },
+
+  disconnect(url) {
+    const urls = url ? [url] : _.keys(controllers);
+
+    _.each(urls, (_url) => {
+      _.each((controllers[_url] || []).splice(0), (controller) => {
+        controller.abort();
+      });
+
+      if (_url) {
+        delete controllers[_url];
+      }
+    });
+
+    return Promise.resolve();
+  },
+
+  request(options) {
+    const method = options.method.toUpperCase();
+    const init = {
+      method,
+      headers: _.extend({}, options.headers)
+    };
+    let url = urlUtil.appendQueryString(options.url, options.query);
+
+    if (methodsWithoutBody.indexOf(method) !== -1) {
+      url = urlUtil.appendQueryString(url, options.data);
+    } else {
+      if (!hasHeader(init.headers, 'Content-Type')) {
+        init.headers['Content-Type'] = 'application/json';
+      }
+
+      init.body = JSON.stringify(options.data);
+    }
+
+    return execute(url, init, options);
+  },
+
+  upload(options) {
+    return upload(options);
+  }
+
+};
+
+export default Fetch;
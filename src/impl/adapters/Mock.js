@@ -0,0 +1,316 @@
+import _ from 'lodash';
+
+import routeUtil from 'frntnd-route-util';
+
+import Response from '../../lib/classes/Response';
+
+/**
+ * In-memory adapter for tests and local development, requests are answered by handlers registered per method and route,
+ * no server is involved.
+ *
+ * - Mock.when(method, route, handler, options) registers a handler, route uses the same syntax as the routes of Requests ('/user/:id'),
+ *   handler is either a function that takes the call ({method, url, path, params, query, body, headers, request})
+ *   and returns the body, a Response or a Promise, or any other value (a fixture) to respond with.
+ *   options can contain a status (400 and up rejects, 0 simulates a network failure), headers, a delay in milliseconds,
+ *   times, the amount of calls the handler answers before it is removed, and url, the url of the connection the handler answers for
+ *   (all connections when omitted)
+ * - Mock.delay is the delay in milliseconds used for handlers that don't specify one, defaults to 0
+ * - Mock.push(event, data, url) pushes an event to the subscribers of it on the connection with the url (all connections when omitted),
+ *   Mock.drop(reason, url) simulates the server closing the connection with the url (all connections when omitted)
+ * - Mock.calls contains every call made to the adapter ({type, method, url, path, params, query, body, headers, request, time}),
+ *   Mock.callsTo(method, route, url) the requests and uploads matching a method ('*' for any) and route, made on the connection with the url
+ *   (all connections when omitted)
+ * - Mock.reset() removes all handlers, calls, subscriptions and connections
+ *
+ * Requests that don't match a handler reject with a 404.
+ *
+ * @example
+ * communicator.registerAdapter(Mock);
+ *
+ * Mock.when('get', '/user/:id', (call) => {
+ *   return {id: call.params.id};
+ * });
+ *
+ * Mock.when('post', '/user', {id: 1}, {status: 201, delay: 200});
+ * Mock.when('delete', '/user/:id', null, {status: 409});
+ */
+
+// registered handlers, the last registered handler that matches answers
+let handlers = [];
+
+// subscription callbacks by the url of the connection and event
+let subscriptions = {};
+
+// emitters of the connected urls, by url
+let emitters = {};
+
+// turns a route into a regular expression, path variables match a segment and * matches anything,
+// the path variables are filled the way Connections fill them, with placeholders that are turned into groups
+function compileRoute(route) {
+  const keys = _.map(route.match(/:\w+/g), (key) => {
+    return key.substr(1);
+  });
+  const placeholders = _.zipObject(keys, _.map(keys, (key, index) => {
+    return `__mock_variable_${index}__`;
+  }));
+  const pattern = routeUtil.makePathVariableInjector(route)(placeholders)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/__mock_variable_\d+__/g, '([^/]+)');
+
+  return {
+    keys,
+    regex: new RegExp(`^${pattern}/?$`)
+  };
+}
+
+function matchRoute(handler, path) {
+  const match = handler.compiled.regex.exec(path);
+
+  if (!match) {
+    return null;
+  }
+
+  const params = {};
+
+  _.each(handler.compiled.keys, (key, index) => {
+    params[key] = decodeURIComponent(match[index + 1]);
+  });
+
+  return params;
+}
+
+// the url of the connection a url belongs to, the origin of the url when it isn't connected
+function getConnectionUrl(url) {
+  const connectionUrl = _.max(_.filter(_.keys(emitters), (_url) => {
+    return url.indexOf(_url) === 0;
+  }), 'length');
+  const origin = url.match(/^[a-z]+:\/\/[^/]+/i);
+
+  return typeof connectionUrl === 'string' ? connectionUrl : (origin ? origin[0] : '');
+}
+
+// the path of a url relative to the url of the connection it belongs to
+function getPath(url) {
+  return '/' + url.substr(getConnectionUrl(url).length).split('?')[0].replace(/^\/+/, '');
+}
+
+function isOnConnection(url, connectionUrl) {
+  return !connectionUrl || getConnectionUrl(url) === connectionUrl;
+}
+
+function record(call) {
+  call.time = new Date().getTime();
+  Mock.calls.push(call);
+
+  return call;
+}
+
+function wait(delay, cancellation) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(resolve, delay);
+
+    if (cancellation) {
+      cancellation.onCancel((reason) => {
+        clearTimeout(timeout);
+        reject(reason);
+      });
+    }
+  });
+}
+
+function respond(handler, call) {
+  return Promise.resolve(typeof handler.response === 'function' ? handler.response(call) : _.cloneDeep(handler.response))
+    .then((result) => {
+      const response = result instanceof Response ? result : new Response({
+        status: typeof handler.options.status === 'number' ? handler.options.status : 200,
+        headers: handler.options.headers,
+        body: result,
+        raw: call
+      });
+
+      return response.ok ? response : Response.reject(response);
+    });
+}
+
+function execute(type, options) {
+  const method = options.method.toUpperCase();
+  const path = getPath(options.url);
+  const call = record({
+    type,
+    method,
+    url: options.url,
+    path,
+    params: {},
+    query: options.query,
+    body: options.data,
+    headers: options.headers,
+    request: options.request
+  });
+  const handler = _.findLast(handlers, (_handler) => {
+    if ((_handler.method !== method && _handler.method !== '*') || !isOnConnection(options.url, _handler.options.url)) {
+      return false;
+    }
+
+    const params = matchRoute(_handler, path);
+
+    if (params) {
+      call.params = params;
+    }
+
+    return !!params;
+  });
+  const delay = handler && typeof handler.options.delay === 'number' ? handler.options.delay : Mock.delay;
+
+  if (handler && typeof handler.options.times === 'number' && --handler.options.times <= 0) {
+    _.pull(handlers, handler);
+  }
+
+  return wait(delay, options.cancellation)
+    .then(() => {
+      if (!handler) {
+        return Response.reject({
+          status: 404,
+          body: `no mock registered for ${method} ${path}`,
+          raw: call
+        });
+      }
+
+      return respond(handler, call);
+    });
+}
+
+const Mock = {
+
+  name: 'Mock',
+
+  capabilities: ['request', 'upload', 'subscribe', 'binary', 'cancellation'],
+
+  delay: 0,
+
+  calls: [],
+
+  connect(url, emitter) {
+    record({
+      type: 'connect',
+      url
+    });
+
+    emitters[url] = emitter;
+
+    return Promise.resolve();
+  },
+
+  disconnect(url) {
+    record({
+      type: 'disconnect',
+      url
+    });
+
+    delete emitters[url];
+
+    return Promise.resolve();
+  },
+
+  request(options) {
+    return execute('request', options);
+  },
+
+  upload(options) {
+    return execute('upload', options);
+  },
+
+  subscribe(event, cb, url) {
+    record({
+      type: 'subscribe',
+      url,
+      event
+    });
+
+    subscriptions[url] = subscriptions[url] || {};
+    subscriptions[url][event] = subscriptions[url][event] || [];
+    subscriptions[url][event].push(cb);
+
+    return Promise.resolve();
+  },
+
+  unsubscribe(event, cb, url) {
+    record({
+      type: 'unsubscribe',
+      url,
+      event
+    });
+
+    if (!subscriptions[url]) {
+      return Promise.resolve();
+    }
+
+    if (cb) {
+      _.pull(subscriptions[url][event] || [], cb);
+    } else {
+      delete subscriptions[url][event];
+    }
+
+    return Promise.resolve();
+  },
+
+  when(method, route, response, options = {}) {
+    handlers.push({
+      method: method.toUpperCase(),
+      route,
+      compiled: compileRoute(route),
+      response,
+      options: _.clone(options)
+    });
+
+    return Mock;
+  },
+
+  push(event, data, url) {
+    const cbs = _.flatten(_.map(url ? [subscriptions[url]] : subscriptions, (_subscriptions) => {
+      return _subscriptions && _subscriptions[event] ? _subscriptions[event] : [];
+    }));
+
+    _.each(cbs, (cb) => {
+      cb(data);
+    });
+
+    return Mock;
+  },
+
+  drop(reason, url) {
+    _.each(url ? _.pick(emitters, url) : _.clone(emitters), (emitter, _url) => {
+      delete emitters[_url];
+
+      if (emitter) {
+        emitter.emit('disconnected', reason);
+      }
+    });
+
+    return Mock;
+  },
+
+  callsTo(method, route, url) {
+    const handler = {
+      compiled: compileRoute(route)
+    };
+
+    return _.filter(Mock.calls, (call) => {
+      return !!call.method && (method === '*' || call.method === method.toUpperCase()) && !!matchRoute(handler, call.path) &&
+        isOnConnection(call.url, url);
+    });
+  },
+
+  reset() {
+    handlers = [];
+    subscriptions = {};
+    emitters = {};
+    Mock.calls.length = 0;
+    Mock.delay = 0;
+
+    return Mock;
+  }
+
+};
+
+export default Mock;
@@ -0,0 +1,313 @@
+import _ from 'lodash';
+
+import Adapter from '../../lib/classes/Adapter';
+import Response from '../../lib/classes/Response';
+
+import saveFile from '../../lib/helpers/saveFile';
+import serialize from '../../lib/helpers/serialize';
+
+import AdapterMethodNotImplementedException from '../../lib/exceptions/AdapterMethodNotImplementedException';
+import RequestCancelledException from '../../lib/exceptions/RequestCancelledException';
+
+import urlUtil from '../helpers/url';
+
+function keyOf(method, url, text) {
+  return `${method.toUpperCase()} ${url} ${text || ''}`;
+}
+
+// headers that carry credentials, left out of recordings unless the omitHeaders option says otherwise
+const defaultOmittedHeaders = ['Authorization', 'Cookie', 'Set-Cookie', 'X-CSRF-Token'];
+
+function omitHeaders(headers, omitted) {
+  const names = _.invoke(omitted, 'toLowerCase');
+
+  return _.omit(headers, (value, name) => {
+    return names.indexOf(name.toLowerCase()) !== -1;
+  });
+}
+
+function toNameValuePairs(object) {
+  return _.map(object, (value, name) => {
+    return {
+      name,
+      value: String(value)
+    };
+  });
+}
+
+function fromNameValuePairs(pairs) {
+  return _.reduce(pairs, (object, pair) => {
+    object[pair.name] = pair.value;
+    return object;
+  }, {});
+}
+
+function toContent(response) {
+  const body = response.body;
+  const mimeType = response.header('Content-Type') || (typeof body === 'string' ? 'text/plain' : 'application/json');
+
+  if (typeof body === 'undefined') {
+    return Promise.resolve({size: 0, mimeType});
+  }
+
+  if ((typeof Blob !== 'undefined' && body instanceof Blob) || (typeof ArrayBuffer !== 'undefined' && body instanceof ArrayBuffer)) {
+    return toBase64(body)
+      .then((text) => {
+        return {
+          size: body.size || body.byteLength,
+          mimeType: body.type || mimeType,
+          encoding: 'base64',
+          text
+        };
+      });
+  }
+
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+
+  return Promise.resolve({
+    size: text.length,
+    mimeType,
+    text
+  });
+}
+
+function toBase64(data) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = () => {
+      // strip the 'data:<type>;base64,' prefix
+      resolve(reader.result.substr(reader.result.indexOf(',') + 1));
+    };
+    reader.onerror = reject;
+
+    reader.readAsDataURL(data instanceof Blob ? data : new Blob([data]));
+  });
+}
+
+function fromContent(content = {}, responseType) {
+  if (typeof content.text === 'undefined') {
+    return undefined;
+  }
+
+  if (content.encoding === 'base64') {
+    const binary = atob(content.text);
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+
+    return responseType === 'arraybuffer' ? bytes.buffer : new Blob([bytes], {type: content.mimeType});
+  }
+
+  if ((content.mimeType || '').indexOf('json') !== -1 && responseType !== 'text') {
+    try {
+      return JSON.parse(content.text);
+    } catch (e) {
+      return content.text;
+    }
+  }
+
+  return content.text;
+}
+
+function replay(entries, replayed, request) {
+  const key = keyOf(request.method, urlUtil.appendQueryString(request.url, request.query), serialize(request.data));
+  const matches = _.filter(entries, (entry) => {
+    return keyOf(entry.request.method, entry.request.url, entry.request.postData ? entry.request.postData.text : '') === key;
+  });
+
+  if (!matches.length) {
+    return Response.reject({
+      status: 404,
+      body: `no recording for ${key}`
+    });
+  }
+
+  const index = Math.min(replayed[key] || 0, matches.length - 1);
+  const entry = matches[index];
+  const response = new Response({
+    status: entry.response.status,
+    statusText: entry.response.statusText,
+    headers: fromNameValuePairs(entry.response.headers),
+    body: fromContent(entry.response.content, request.responseType),
+    raw: entry,
+    duration: entry.time
+  });
+
+  replayed[key] = index + 1;
+
+  return response.ok ? Promise.resolve(response) : Response.reject(response);
+}
+
+/**
+ * Creates an adapter that wraps another (registered) adapter to record and replay the requests and uploads executed with it.
+ *
+ * - record mode executes everything using the wrapped adapter and records every exchange (the request and the response or failure)
+ * - replay mode answers requests and uploads using the recordings, without touching the wrapped adapter (or the server),
+ *   recordings are matched by method, url (including the querystring) and body, when a request has been recorded more than once
+ *   the recordings are replayed in order (the last one being repeated), requests without a recording reject with a 404
+ *
+ * Recordings are stored in a HAR-like format ({log: {entries: [...]}}), get them with recorder.toHAR(),
+ * download them with recorder.save(filename) and replay them by passing them in as the recordings option or into recorder.load(har).
+ * Binary response bodies are stored base64 encoded. Headers that carry credentials (see omitHeaders) are left out, so recordings can be shared.
+ *
+ * @param adapter {Adapter|String} The adapter to wrap, or its name
+ * @param options {Object} (optional) Object containing the properties below
+ * @param options.name {String} Name to register the recorder under, defaults to the name of the wrapped adapter followed by 'Recorder'
+ * @param options.mode {"record"|"replay"} Defaults to 'record' when no recordings are provided and to 'replay' when they are
+ * @param options.recordings {Object} HAR-like recordings to replay
+ * @param options.omitHeaders {Array<String>} Names of the request and response headers to leave out of the recordings (case-insensitive),
+ * defaults to Authorization, Cookie, Set-Cookie and X-CSRF-Token, pass an empty array to record every header
+ * @returns {Object} Adapter implementation, register it with communicator.registerAdapter
+ *
+ * @example
+ * // capture a session
+ * const recorder = createRecorder('XHR');
+ *
+ * communicator.registerAdapter(recorder);
+ * communicator.registerConnection({name: 'api', adapter: 'XHRRecorder', url: 'http://localhost:1337'});
+ * ...
+ * recorder.save('session.har');
+ *
+ * // run the same Requests against it later, offline
+ * communicator.registerAdapter(createRecorder('XHR', {recordings: session}));
+ */
+function createRecorder(adapter, options = {}) {
+  const wrapped = Adapter.get(adapter);
+  let entries = [];
+  let replayed = {};
+
+  if (!wrapped) {
+    throw new Error(`can't create a recorder, adapter ${adapter} isn't a registered adapter`);
+  }
+
+  const name = options.name || `${wrapped.options.name}Recorder`;
+  const omittedHeaders = options.omitHeaders || defaultOmittedHeaders;
+
+  const execute = (type, request) => {
+    if (recorder.mode === 'replay') {
+      return replay(entries, replayed, request);
+    }
+
+    const start = new Date();
+
+    return Promise.resolve(wrapped[type](request))
+      .then((result) => {
+        const response = Response.from(result, request);
+
+        return record(request, response, start)
+          .then(() => {
+            return response;
+          });
+      }, (err) => {
+        const failure = Response.failure(err, request);
+
+        // nothing was exchanged with the server
+        if (failure instanceof RequestCancelledException || failure instanceof AdapterMethodNotImplementedException || !failure.response) {
+          return Promise.reject(failure);
+        }
+
+        return record(request, failure.response, start)
+          .then(() => {
+            return Promise.reject(failure);
+          });
+      });
+  };
+
+  const record = (request, response, start) => {
+    return toContent(response)
+      .then((content) => {
+        entries.push({
+          startedDateTime: start.toISOString(),
+          time: new Date().getTime() - start.getTime(),
+          request: {
+            method: request.method.toUpperCase(),
+            url: urlUtil.appendQueryString(request.url, request.query),
+            headers: toNameValuePairs(omitHeaders(request.headers, omittedHeaders)),
+            queryString: toNameValuePairs(request.query),
+            postData: {
+              mimeType: request.request && request.request.upload ? 'multipart/form-data' : 'application/json',
+              text: serialize(request.data)
+            }
+          },
+          response: {
+            status: response.status,
+            statusText: response.statusText,
+            headers: toNameValuePairs(omitHeaders(response.headers, omittedHeaders)),
+            content
+          }
+        });
+      });
+  };
+
+  const recorder = {
+
+    name,
+
+    mode: options.mode || (options.recordings ? 'replay' : 'record'),
+
+    connect(url, emitter) {
+      return recorder.mode === 'replay' ? Promise.resolve() : wrapped.connect(url, emitter);
+    },
+
+    disconnect(url) {
+      return recorder.mode === 'replay' ? Promise.resolve() : wrapped.disconnect(url);
+    },
+
+    request(request) {
+      return execute('request', request);
+    },
+
+    upload(request) {
+      return execute('upload', request);
+    },
+
+    subscribe(event, cb, url) {
+      return recorder.mode === 'replay' ? Promise.resolve() : wrapped.subscribe(event, cb, url);
+    },
+
+    unsubscribe(event, cb, url) {
+      return recorder.mode === 'replay' ? Promise.resolve() : wrapped.unsubscribe(event, cb, url);
+    },
+
+    load(har) {
+      entries = har && har.log ? har.log.entries.slice() : [];
+      replayed = {};
+
+      return recorder;
+    },
+
+    clear() {
+      return recorder.load(null);
+    },
+
+    toHAR() {
+      return {
+        log: {
+          version: '1.2',
+          creator: {
+            name: 'frntnd-communicator'
+          },
+          entries: _.cloneDeep(entries)
+        }
+      };
+    },
+
+    save(filename = `${name}.har`) {
+      return saveFile(JSON.stringify(recorder.toHAR(), null, 2), filename, 'application/json');
+    }
+
+  };
+
+  if (Array.isArray(wrapped.options.capabilities)) {
+    recorder.capabilities = wrapped.options.capabilities.slice();
+  }
+
+  recorder.load(options.recordings);
+
+  return recorder;
+}
+
+export default createRecorder;
@@ -0,0 +1,181 @@
+import _ from 'lodash';
+
+import Fetch from './Fetch';
+
+/**
+ * Server-Sent Events adapter, server pushed (named) events on the url of the connection
+ * can be subscribed to, requests and uploads are executed over plain HTTP using the Fetch adapter.
+ * EventSources and subscriptions are kept by the url of the Connection.
+ */
+
+// state by url: the EventSource once it is open and the subscriptions by event,
+// each subscription holding the callback and the listener attached to the EventSource
+const connections = {};
+
+function getConnection(url) {
+  connections[url] = connections[url] || {
+    source: null,
+    subscriptions: {}
+  };
+
+  return connections[url];
+}
+
+function parseData(data) {
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return data;
+  }
+}
+
+function createListener(cb) {
+  return (ev) => {
+    cb(parseData(ev.data), ev);
+  };
+}
+
+const SSE = {
+
+  name: 'SSE',
+
+  capabilities: ['request', 'upload', 'subscribe', 'binary', 'streaming', 'cancellation'],
+
+  connect(url, emitter) {
+    const connection = getConnection(url);
+
+    if (connection.source) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(url);
+      let opened = false;
+
+      source.onopen = () => {
+        // EventSource calls onopen again after reconnecting by itself
+        if (opened) {
+          return;
+        }
+
+        opened = true;
+        connection.source = source;
+
+        _.each(connection.subscriptions, (subscriptions, event) => {
+          _.each(subscriptions, (subscription) => {
+            source.addEventListener(event, subscription.listener);
+          });
+        });
+
+        resolve();
+      };
+
+      // unnamed events
+      source.onmessage = (ev) => {
+        if (emitter) {
+          emitter.emit('message', parseData(ev.data));
+        }
+      };
+
+      source.onerror = (ev) => {
+        // EventSource would keep retrying a server it never reached, give up on the first error instead
+        if (!opened) {
+          source.close();
+          reject(ev);
+          return;
+        }
+
+        // once opened it reconnects by itself, it only gives up when the stream is closed
+        if (source.readyState !== source.CLOSED || connection.source !== source) {
+          return;
+        }
+
+        connection.source = null;
+
+        if (emitter) {
+          emitter.emit('disconnected', ev);
+        }
+      };
+    });
+  },
+
+  disconnect(url) {
+    const urls = url ? [url] : _.keys(connections);
+
+    _.each(urls, (_url) => {
+      const connection = connections[_url];
+
+      if (!connection) {
+        return;
+      }
+
+      if (connection.source) {
+        connection.source.close();
+        connection.source = null;
+      }
+
+      // subscriptions are kept to be attached again when connecting again
+      if (_.isEmpty(connection.subscriptions)) {
+        delete connections[_url];
+      }
+    });
+
+    return Promise.resolve();
+  },
+
+  request(options) {
+    return Fetch.request(options);
+  },
+
+  upload(options) {
+    return Fetch.upload(options);
+  },
+
+  subscribe(event, cb, url) {
+    if (!url) {
+      return Promise.reject(new Error(`no url to subscribe to ${event} on, subscribe using a Connection`));
+    }
+
+    const connection = getConnection(url);
+    const subscription = {
+      cb,
+      listener: createListener(cb)
+    };
+
+    connection.subscriptions[event] = connection.subscriptions[event] || [];
+    connection.subscriptions[event].push(subscription);
+
+    if (connection.source) {
+      connection.source.addEventListener(event, subscription.listener);
+    }
+
+    return Promise.resolve();
+  },
+
+  unsubscribe(event, cb, url) {
+    const connection = connections[url];
+
+    if (!connection || !connection.subscriptions[event]) {
+      return Promise.resolve();
+    }
+
+    const removed = _.remove(connection.subscriptions[event], (subscription) => {
+      return !cb || subscription.cb === cb;
+    });
+
+    if (connection.source) {
+      _.each(removed, (subscription) => {
+        connection.source.removeEventListener(event, subscription.listener);
+      });
+    }
+
+    if (!connection.subscriptions[event].length) {
+      delete connection.subscriptions[event];
+    }
+
+    return Promise.resolve();
+  }
+
+};
+
+export default SSE;
@@ -0,0 +1,304 @@
+import _ from 'lodash';
+
+import Response from '../../lib/classes/Response';
+
+/**
+ * Messages sent over the socket are JSON encoded envelopes with a type property:
+ *
+ * - request: {type: 'request', id, method, url, query, headers, data}, the server answers with
+ * - response: {type: 'response', id, status, headers, data} or {type: 'response', id, status, error}, status and headers being optional
+ * - event: {type: 'event', event, data}, pushed by the server for subscribed events
+ * - subscribe / unsubscribe: {type: 'subscribe', event}, sent to let the server know what we are interested in
+ *
+ * Messages of any other type are reported to the Connection as 'message' events, messages that aren't valid JSON or aren't an object
+ * as 'error' events.
+ * Sockets, pending requests and subscriptions are kept by the url of the Connection.
+ */
+
+// state by the url of the socket: the socket once it is open, the Promise of the socket that is opening, the emitter of its Connection,
+// pending requests by correlation id and subscription callbacks by event
+const connections = {};
+
+let lastId = 0;
+
+function nextId() {
+  return String(++lastId);
+}
+
+function getConnection(url) {
+  connections[url] = connections[url] || {
+    socket: null,
+    opening: null,
+    emitter: null,
+    pending: {},
+    subscriptions: {}
+  };
+
+  return connections[url];
+}
+
+function send(socket, message) {
+  socket.send(JSON.stringify(message));
+}
+
+function sendIfOpen(connection, message) {
+  if (connection.socket && connection.socket.readyState === connection.socket.OPEN) {
+    send(connection.socket, message);
+  }
+}
+
+function reportError(connection, error) {
+  if (connection.emitter) {
+    connection.emitter.emit('error', error);
+  }
+}
+
+function handleMessage(connection, ev) {
+  let message = null;
+
+  try {
+    message = JSON.parse(ev.data);
+  } catch (e) {
+    reportError(connection, new Error(`received a message that is not valid JSON: ${ev.data}`));
+
+    return;
+  }
+
+  if (!_.isPlainObject(message)) {
+    reportError(connection, new Error(`received a message that is not an object: ${ev.data}`));
+
+    return;
+  }
+
+  if (message.type === 'response') {
+    const request = connection.pending[message.id];
+
+    if (!request) {
+      return;
+    }
+
+    delete connection.pending[message.id];
+
+    const response = {
+      status: message.status || (message.error ? 500 : 200),
+      headers: message.headers,
+      body: message.error || message.data,
+      raw: message
+    };
+
+    if (message.error) {
+      Response.reject(response, message.error.message)
+        .catch(request.reject);
+    } else {
+      Response.resolve(response)
+        .then(request.resolve);
+    }
+  } else if (message.type === 'event') {
+    _.each(connection.subscriptions[message.event], (cb) => {
+      cb(message.data);
+    });
+  } else if (connection.emitter) {
+    connection.emitter.emit('message', message);
+  }
+}
+
+function rejectPending(connection, reason) {
+  const pending = connection.pending;
+
+  connection.pending = {};
+
+  _.each(pending, (request) => {
+    request.reject(reason);
+  });
+}
+
+// finds the url of the open socket a (full) request url belongs to, the longest one when the urls of several sockets match
+function findSocketUrl(url) {
+  const socketUrl = _.max(_.filter(_.keys(connections), (_url) => {
+    return connections[_url].socket && url.indexOf(_url) === 0;
+  }), 'length');
+
+  return typeof socketUrl === 'string' ? socketUrl : undefined;
+}
+
+const WebSocketAdapter = {
+
+  name: 'WebSocket',
+
+  capabilities: ['request', 'subscribe', 'cancellation'],
+
+  connect(url, emitter) {
+    const connection = getConnection(url);
+
+    connection.emitter = emitter;
+
+    if (connection.socket) {
+      return Promise.resolve();
+    }
+
+    // connecting again while the socket is opening waits for that socket instead of opening another one
+    if (connection.opening) {
+      return connection.opening;
+    }
+
+    const opening = new Promise((resolve, reject) => {
+      const socket = new WebSocket(url);
+      let opened = false;
+
+      socket.onopen = () => {
+        opened = true;
+        connection.socket = socket;
+
+        // let the server know about the subscriptions made before this socket was opened
+        _.each(connection.subscriptions, (cbs, event) => {
+          send(socket, {type: 'subscribe', event});
+        });
+
+        resolve();
+      };
+
+      socket.onmessage = (ev) => {
+        handleMessage(connection, ev);
+      };
+
+      socket.onerror = (ev) => {
+        if (!opened) {
+          reject(ev);
+        } else {
+          reportError(connection, ev);
+        }
+      };
+
+      socket.onclose = (ev) => {
+        // sockets closed by disconnect have been removed already
+        const closedByServer = connection.socket === socket;
+
+        if (closedByServer) {
+          connection.socket = null;
+          rejectPending(connection, ev);
+        }
+
+        if (!opened) {
+          reject(ev);
+        } else if (closedByServer && connection.emitter) {
+          connection.emitter.emit('disconnected', ev);
+        }
+      };
+    });
+    const settled = () => {
+      if (connection.opening === opening) {
+        connection.opening = null;
+      }
+    };
+
+    connection.opening = opening;
+    opening.then(settled, settled);
+
+    return opening;
+  },
+
+  disconnect(url) {
+    const urls = url ? [url] : _.keys(connections);
+
+    _.each(urls, (_url) => {
+      const connection = connections[_url];
+
+      if (!connection) {
+        return;
+      }
+
+      const socket = connection.socket;
+
+      connection.socket = null;
+      rejectPending(connection, new Error(`disconnected from ${_url}`));
+
+      // subscriptions are kept to be sent again when connecting again
+      if (_.isEmpty(connection.subscriptions)) {
+        delete connections[_url];
+      }
+
+      if (socket) {
+        socket.close();
+      }
+    });
+
+    return Promise.resolve();
+  },
+
+  request(options) {
+    const socketUrl = findSocketUrl(options.url);
+
+    if (!socketUrl) {
+      return Promise.reject(new Error(`no open socket for ${options.url}, connect first`));
+    }
+
+    const connection = connections[socketUrl];
+
+    return new Promise((resolve, reject) => {
+      const id = nextId();
+
+      connection.pending[id] = {resolve, reject};
+
+      if (options.cancellation) {
+        options.cancellation.onCancel((reason) => {
+          if (connection.pending[id]) {
+            delete connection.pending[id];
+            reject(reason);
+          }
+        });
+      }
+
+      send(connection.socket, {
+        type: 'request',
+        id,
+        method: options.method.toUpperCase(),
+        url: options.url.substr(socketUrl.length) || '/',
+        query: options.query,
+        headers: options.headers,
+        data: options.data
+      });
+    });
+  },
+
+  subscribe(event, cb, url) {
+    if (!url) {
+      return Promise.reject(new Error(`no url to subscribe to ${event} on, subscribe using a Connection`));
+    }
+
+    const connection = getConnection(url);
+    const isNewEvent = !connection.subscriptions[event];
+
+    connection.subscriptions[event] = connection.subscriptions[event] || [];
+    connection.subscriptions[event].push(cb);
+
+    if (isNewEvent) {
+      sendIfOpen(connection, {type: 'subscribe', event});
+    }
+
+    return Promise.resolve();
+  },
+
+  unsubscribe(event, cb, url) {
+    const connection = connections[url];
+
+    if (!connection || !connection.subscriptions[event]) {
+      return Promise.resolve();
+    }
+
+    if (cb) {
+      _.pull(connection.subscriptions[event], cb);
+    } else {
+      connection.subscriptions[event] = [];
+    }
+
+    if (!connection.subscriptions[event].length) {
+      delete connection.subscriptions[event];
+      sendIfOpen(connection, {type: 'unsubscribe', event});
+    }
+
+    return Promise.resolve();
+  }
+
+};
+
+export default WebSocketAdapter;
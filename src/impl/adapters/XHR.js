@@ -1,10 +1,20 @@
 import $ from 'jquery';
-import _ from 'lodash';
+
+import Response from '../../lib/classes/Response';
+
+import download from '../helpers/download';
+import upload from '../helpers/upload';
+import urlUtil from '../helpers/url';
+
+// jQuery only sends the data of GET and HEAD requests as querystring
+const methodsWithoutBody = ['GET', 'HEAD', 'OPTIONS'];
 
 const XHR = {
 
   name: 'XHR',
 
+  capabilities: ['request', 'upload', 'binary', 'streaming', 'cancellation'],
+
   connect(url) {
     return Promise.resolve();
   },
@@ -14,51 +24,65 @@ const XHR = {
   },
 
   request(options) {
+    // jQuery can't handle binary responses or report download progress
+    if (options.responseType === 'blob' || options.responseType === 'arraybuffer' || typeof options.onProgress === 'function') {
+      return download(options);
+    }
+
+    const method = options.method.toUpperCase();
+
+    // the Connection enforces the timeout and takes care of cancelling, jQuery only gets what it needs to send the request
+    const ajaxOptions = {
+      url: urlUtil.appendQueryString(options.url, options.query),
+      method,
+      type: method,
+      headers: options.headers,
+      data: options.data
+    };
+
+    if (options.responseType === 'json' || options.responseType === 'text') {
+      ajaxOptions.dataType = options.responseType;
+    }
+
+    if (methodsWithoutBody.indexOf(method) !== -1) {
+      ajaxOptions.url = urlUtil.appendQueryString(ajaxOptions.url, options.data);
+      ajaxOptions.data = undefined;
+    }
+
     return new Promise((resolve, reject) => {
-      $.ajax(options)
+      const jqXHR = $.ajax(ajaxOptions);
+
+      if (options.cancellation) {
+        options.cancellation.onCancel(() => {
+          jqXHR.abort();
+        });
+      }
+
+      jqXHR
         .done((data) => {
-          resolve(data);
+          resolve(new Response({
+            status: jqXHR.status,
+            statusText: jqXHR.statusText,
+            headers: jqXHR.getAllResponseHeaders(),
+            body: data,
+            raw: jqXHR
+          }));
         })
-        .fail((data) => {
-          reject(data);
+        .fail(() => {
+          Response.reject({
+            status: jqXHR.status,
+            statusText: jqXHR.statusText,
+            headers: jqXHR.getAllResponseHeaders(),
+            body: typeof jqXHR.responseJSON === 'undefined' ? jqXHR.responseText : jqXHR.responseJSON,
+            raw: jqXHR
+          })
+            .catch(reject);
         });
     });
   },
 
   upload(options) {
-    return new Promise((resolve, reject) => {
-      var formData = new FormData();
-      var xhr = new XMLHttpRequest();
-
-      //xhr.setRequestHeader('X-CSRF-Token', csrfToken);
-
-      _.each(options.data, (val, key) => {
-        if (key === 'files') {
-          if (val instanceof FileList) {
-            _.each(val, (_val) => {
-              formData.append('files', _val);
-            });
-          } else {
-            formData.append('files', val);
-          }
-        } else {
-          formData.append(key, val);
-        }
-      });
-
-      //formData.append('_csrf', csrfToken);
-
-      xhr.open(options.method.toUpperCase(), options.url, true);
-      xhr.send(formData);
-
-      xhr.onerror = function (_data) {
-        reject(_data);
-      };
-
-      xhr.onload = function (_data) {
-        resolve(_data);
-      };
-    });
+    return upload(options);
   }
 
 };
@@ -0,0 +1,135 @@
+import _ from 'lodash';
+
+import Response from '../../lib/classes/Response';
+
+import urlUtil from './url';
+
+/**
+ * Request implementation based on XMLHttpRequest for binary responses and download progress, used by the XHR adapter
+ * because jQuery can only handle text responses.
+ *
+ * Honours options.responseType ('blob', 'arraybuffer', 'text' or 'json') or, when it isn't given, determines it from the Content-Type
+ * the way the Fetch adapter does, reports progress to options.onProgress as {loaded, total} and aborts when options.cancellation is cancelled.
+ *
+ * Resolves with a Response, rejects with a RequestFailedException when the server responds with an error status or can't be reached.
+ */
+
+const methodsWithoutBody = ['GET', 'HEAD', 'OPTIONS'];
+
+const HEADERS_RECEIVED = 2;
+
+function detectResponseType(contentType) {
+  if (contentType.indexOf('application/json') !== -1) {
+    return 'json';
+  } else if (contentType.indexOf('text/') === 0 || contentType.indexOf('xml') !== -1) {
+    return 'text';
+  }
+
+  return 'blob';
+}
+
+function setResponseType(xhr, responseType) {
+  // json is parsed from the text, not every browser supports the json responseType
+  xhr.responseType = responseType === 'json' ? 'text' : responseType;
+}
+
+function getBody(xhr, method, responseType, detected) {
+  // responses to HEAD requests and 304s never have a body, neither do 204s that don't say what they contain
+  if (method === 'HEAD' || xhr.status === 304 || (detected && xhr.status === 204)) {
+    return undefined;
+  } else if (responseType !== 'json') {
+    return xhr.response;
+  }
+
+  try {
+    return JSON.parse(xhr.responseText);
+  } catch (e) {
+    return xhr.responseText;
+  }
+}
+
+function download(options) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const method = options.method.toUpperCase();
+    const detected = !options.responseType;
+    let responseType = options.responseType;
+    const headers = _.extend({}, options.headers);
+    let url = urlUtil.appendQueryString(options.url, options.query);
+    let body = null;
+
+    if (methodsWithoutBody.indexOf(method) !== -1) {
+      url = urlUtil.appendQueryString(url, options.data);
+    } else if (typeof options.data !== 'undefined') {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(options.data);
+    }
+
+    xhr.open(method, url, true);
+
+    if (detected) {
+      // the responseType can be set until the body is being loaded, so the Content-Type is known by then
+      xhr.onreadystatechange = () => {
+        if (xhr.readyState === HEADERS_RECEIVED) {
+          responseType = detectResponseType(xhr.getResponseHeader('Content-Type') || '');
+          setResponseType(xhr, responseType);
+        }
+      };
+    } else {
+      setResponseType(xhr, responseType);
+    }
+
+    _.each(headers, (val, key) => {
+      xhr.setRequestHeader(key, val);
+    });
+
+    xhr.onprogress = (ev) => {
+      if (typeof options.onProgress === 'function') {
+        options.onProgress({
+          loaded: ev.loaded,
+          total: ev.lengthComputable ? ev.total : 0
+        });
+      }
+    };
+
+    xhr.onload = () => {
+      const response = {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: xhr.getAllResponseHeaders(),
+        body: getBody(xhr, method, responseType, detected),
+        raw: xhr
+      };
+
+      if (xhr.status >= 200 && xhr.status < 400) {
+        Response.resolve(response)
+          .then(resolve);
+      } else {
+        Response.reject(response)
+          .catch(reject);
+      }
+    };
+
+    xhr.onerror = xhr.onabort = () => {
+      Response.reject({
+        status: 0,
+        raw: xhr
+      })
+        .catch(reject);
+    };
+
+    if (options.cancellation) {
+      if (options.cancellation.cancelled) {
+        return reject(options.cancellation.reason);
+      }
+
+      options.cancellation.onCancel(() => {
+        xhr.abort();
+      });
+    }
+
+    xhr.send(body);
+  });
+}
+
+export default download;
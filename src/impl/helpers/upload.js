@@ -0,0 +1,244 @@
+import _ from 'lodash';
+
+import Response from '../../lib/classes/Response';
+
+import urlUtil from './url';
+
+/**
+ * Upload implementation shared by the XHR and Fetch adapters, uses XMLHttpRequest because fetch can't report upload progress.
+ *
+ * Sends the data as multipart form, files in the 'files' field (designed for sails js).
+ * Reports progress to options.onProgress as {loaded, total, files: [{name, loaded, total}]},
+ * aborts when options.cancellation is cancelled and, when options.chunkSize is set,
+ * sends every file in chunks (each in its own request, with a Content-Range and X-Upload-Id header) that are retried up to options.chunkRetries times,
+ * waiting options.chunkRetryDelay milliseconds before the first retry and twice as long before every retry after it.
+ * A retried chunk is sent with the upload id of its file again, chunks that have been sent are not sent again.
+ *
+ * Resolves with a Response containing the parsed response of the server (the response of the last chunk when chunked),
+ * rejects with a RequestFailedException when the server responds with an error status or can't be reached.
+ */
+
+let lastUploadId = 0;
+
+function collectFiles(data = {}) {
+  const files = data.files;
+
+  if (!files) {
+    return [];
+  }
+
+  if (files instanceof FileList || Array.isArray(files)) {
+    return _.toArray(files);
+  }
+
+  return [files];
+}
+
+function buildFormData(fields, files) {
+  const formData = new FormData();
+
+  _.each(fields, (val, key) => {
+    formData.append(key, val);
+  });
+
+  _.each(files, (file) => {
+    if (file.blob) {
+      // a chunk, keep the name of the file it was sliced from
+      formData.append('files', file.blob, file.name);
+    } else {
+      formData.append('files', file);
+    }
+  });
+
+  return formData;
+}
+
+function parseBody(xhr) {
+  const contentType = xhr.getResponseHeader('Content-Type') || '';
+
+  if (contentType.indexOf('application/json') !== -1 && xhr.responseText) {
+    try {
+      return JSON.parse(xhr.responseText);
+    } catch (e) {
+      return xhr.responseText;
+    }
+  }
+
+  return xhr.responseText;
+}
+
+function send(options, body, headers, onUploadProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+
+    xhr.open(options.method.toUpperCase(), urlUtil.appendQueryString(options.url, options.query), true);
+
+    _.each(_.extend({}, options.headers, headers), (val, key) => {
+      xhr.setRequestHeader(key, val);
+    });
+
+    xhr.upload.onprogress = (ev) => {
+      if (ev.lengthComputable) {
+        onUploadProgress(ev.loaded, ev.total);
+      }
+    };
+
+    xhr.onload = () => {
+      const response = {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: xhr.getAllResponseHeaders(),
+        body: parseBody(xhr),
+        raw: xhr
+      };
+
+      if (xhr.status >= 200 && xhr.status < 400) {
+        Response.resolve(response)
+          .then(resolve);
+      } else {
+        Response.reject(response)
+          .catch(reject);
+      }
+    };
+
+    xhr.onerror = xhr.onabort = () => {
+      Response.reject({
+        status: 0,
+        raw: xhr
+      })
+        .catch(reject);
+    };
+
+    if (options.cancellation) {
+      if (options.cancellation.cancelled) {
+        return reject(options.cancellation.reason);
+      }
+
+      options.cancellation.onCancel(() => {
+        xhr.abort();
+      });
+    }
+
+    xhr.send(body);
+  });
+}
+
+// resolves after the delay, rejects with the reason of the cancellation when it is cancelled before that
+function wait(delay, cancellation) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(resolve, delay);
+
+    if (cancellation) {
+      cancellation.onCancel((reason) => {
+        clearTimeout(timeout);
+        reject(reason);
+      });
+    }
+  });
+}
+
+function createProgressReporter(options, files) {
+  const progress = {
+    loaded: 0,
+    total: _.sum(files, 'size'),
+    files: _.map(files, (file) => {
+      return {
+        name: file.name,
+        loaded: 0,
+        total: file.size
+      };
+    })
+  };
+
+  // loaded is the amount of bytes of the files (in order) that have been sent
+  return (loaded) => {
+    if (typeof options.onProgress !== 'function') {
+      return;
+    }
+
+    let remaining = Math.min(loaded, progress.total);
+
+    progress.loaded = remaining;
+
+    _.each(progress.files, (file) => {
+      file.loaded = Math.min(remaining, file.total);
+      remaining -= file.loaded;
+    });
+
+    options.onProgress(_.cloneDeep(progress));
+  };
+}
+
+function uploadWhole(options, fields, files, reportProgress) {
+  const fileBytes = _.sum(files, 'size');
+
+  return send(options, buildFormData(fields, files), {}, (loaded, total) => {
+    // the request contains more than the files, scale it to the size of the files
+    reportProgress(total ? Math.round(loaded / total * fileBytes) : 0);
+  });
+}
+
+function uploadChunked(options, fields, files, reportProgress) {
+  const chunkSize = options.chunkSize;
+  const retries = typeof options.chunkRetries === 'number' ? options.chunkRetries : 3;
+  const retryDelay = typeof options.chunkRetryDelay === 'number' ? options.chunkRetryDelay : 1000;
+  let sent = 0;
+  let lastResponse = null;
+
+  const sendChunk = (file, uploadId, start, attempt = 0) => {
+    const end = Math.min(start + chunkSize, file.size);
+    const chunk = {
+      name: file.name,
+      blob: file.slice(start, end)
+    };
+
+    return send(options, buildFormData(fields, [chunk]), {
+      'Content-Range': `bytes ${start}-${end - 1}/${file.size}`,
+      'X-Upload-Id': uploadId
+    }, (loaded, total) => {
+      reportProgress(sent + (total ? Math.round(loaded / total * (end - start)) : 0));
+    })
+      .then((response) => {
+        sent += end - start;
+        lastResponse = response;
+        reportProgress(sent);
+
+        return end < file.size ? sendChunk(file, uploadId, end) : response;
+      }, (err) => {
+        const cancelled = options.cancellation && options.cancellation.cancelled;
+
+        // only retry failures of the transport and the server, not rejections of the upload itself
+        if (!cancelled && attempt < retries && (!err || !err.status || err.status >= 500)) {
+          return wait(retryDelay * Math.pow(2, attempt), options.cancellation)
+            .then(() => {
+              return sendChunk(file, uploadId, start, attempt + 1);
+            });
+        }
+
+        return Promise.reject(err);
+      });
+  };
+
+  return _.reduce(files, (promise, file) => {
+    return promise.then(() => {
+      return sendChunk(file, `${new Date().getTime()}-${++lastUploadId}`, 0);
+    });
+  }, Promise.resolve())
+    .then(() => {
+      return lastResponse;
+    });
+}
+
+function upload(options) {
+  const files = collectFiles(options.data);
+  const fields = _.omit(options.data, 'files');
+  const reportProgress = createProgressReporter(options, files);
+
+  if (options.chunkSize && files.length) {
+    return uploadChunked(options, fields, files, reportProgress);
+  }
+
+  return uploadWhole(options, fields, files, reportProgress);
+}
+
+export default upload;
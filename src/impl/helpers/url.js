@@ -0,0 +1,41 @@
+import _ from 'lodash';
+
+// adds the querystring pairs of a value the way jQuery.param does, nested objects as key[name]=value
+// and arrays as key[]=value, or key[index][name]=value for the objects and arrays in them
+function addPairs(pairs, key, val) {
+  if (Array.isArray(val)) {
+    _.each(val, (item, index) => {
+      addPairs(pairs, `${key}[${_.isObject(item) ? index : ''}]`, item);
+    });
+  } else if (_.isPlainObject(val)) {
+    _.each(val, (item, name) => {
+      addPairs(pairs, `${key}[${name}]`, item);
+    });
+  } else {
+    pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(val === null || typeof val === 'undefined' ? '' : val)}`);
+  }
+}
+
+/**
+ * Appends an object as querystring to a url, nested objects and arrays are serialized the way jQuery.param does
+ * @param url {String}
+ * @param query {Object}
+ * @returns {String}
+ */
+function appendQueryString(url, query) {
+  const pairs = [];
+
+  _.each(query, (val, key) => {
+    addPairs(pairs, key, val);
+  });
+
+  if (!pairs.length) {
+    return url;
+  }
+
+  return url + (url.indexOf('?') === -1 ? '?' : '&') + pairs.join('&');
+}
+
+export default {
+  appendQueryString
+};
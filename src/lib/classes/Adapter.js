@@ -1,12 +1,26 @@
 import _ from 'lodash';
 
 import adapters from '../singletons/adapters';
+import config from '../singletons/config';
+import ADAPTER_CAPABILITIES from '../enums/ADAPTER_CAPABILITIES';
 import AdapterInvalidPropertyException from '../exceptions/AdapterInvalidPropertyException';
+import AdapterMethodNotImplementedException from '../exceptions/AdapterMethodNotImplementedException';
 import AdapterMissingPropertyException from '../exceptions/AdapterMissingPropertyException';
 
-const resolveFn = (method, options) => {
-  return () => {
-    console.warn(`${method} method not implemented on adapter ${options.name}`);
+// methods that receive the request built for the Adapter as their first argument
+const requestMethods = ['request', 'upload'];
+
+const resolveFn = (method, adapter) => {
+  return (...args) => {
+    const message = `${method} method not implemented on adapter ${adapter.options.name}`;
+
+    if (adapter.strict) {
+      const request = requestMethods.indexOf(method) !== -1 ? args[0] : null;
+
+      return Promise.reject(new AdapterMethodNotImplementedException(message, adapter.options.name, method, request));
+    }
+
+    console.warn(message);
     return Promise.resolve();
   };
 };
@@ -27,16 +41,25 @@ const abstractMethods = [
  * @abstract
  *
  * @property name {String} The name of the adapter, 'XHR' for example
- * @property connect {Function} Function that connects to the server, takes a url, should return a Promise
+ * @property connect {Function} Function that connects to the server, takes a url and an EventEmitter to report 'disconnected', 'error' and 'message' events on, should return a Promise
  * @property disconnect {Function} Function that disconnects to the server, takes a url, should return a Promise
- * @property subscribe {Function} Function that subscribes to a model on the server, takes a model, should return a Promise
- * @property unsubscribe {Function} Function that unsubscribes from a model on the server, takes a model, should return a Promise
+ * @property subscribe {Function} Function that subscribes to an event on the server, takes an event, a callback and the url of the server, should return a Promise
+ * @property unsubscribe {Function} Function that unsubscribes from an event on the server, takes an event, optionally a callback and the url of the server, should return a Promise
  * @property upload {Function} Function that uploads a file to the server, takes a model, should return a Promise
- * @property request {Function} Function that executes a request to the server, should return a Promise
+ * @property request {Function} Function that executes a request to the server, should return a Promise,
+ * preferably resolving with a {@link Response} and rejecting with a {@link RequestFailedException} (see {@link Response.resolve} and {@link Response.reject}),
+ * other values are wrapped by the {@link Connection}
+ *
+ * @property capabilities {Array<String>} (optional) What the adapter can do, one or more of the values of {@link ADAPTER_CAPABILITIES}:
+ * 'request', 'upload', 'subscribe', 'binary', 'streaming' and 'cancellation'. The methods a declared capability needs have to be implemented.
+ * When omitted the request, upload and subscribe capabilities are derived from the implemented methods and the others are assumed.
+ * When declared, {@link Connection}s and {@link Request}s that need a capability the adapter doesn't have are rejected when they are registered
+ * @property strict {Boolean} (optional) When true, methods that aren't implemented reject with an AdapterMethodNotImplementedException
+ * instead of logging a warning and resolving, defaults to the strictAdapters property of the config of the {@link Communicator} (false when not set)
  *
  * @property options {Object} **SET AUTOMATICALLY** Options object passed into the constructor
  *
- * @param options {Object} Object containing the properties (name, connect, disconnect, subscribe, unsubscribe, upload, request)
+ * @param options {Object} Object containing the properties (name, connect, disconnect, subscribe, unsubscribe, upload, request, capabilities, strict)
  *
  * @class Adapter
  *
@@ -120,14 +143,26 @@ class Adapter {
     this._register(options);
 
     this.options = options;
+    this.capabilities = Adapter.getCapabilities(options);
 
     // go through the abstract methods (methods that have to be implemented by providing them in the options object)
     _.each(abstractMethods, (key) => {
-      this[`_${key}`] = this.options[key] || resolveFn(key, options);
+      this[`_${key}`] = this.options[key] || resolveFn(key, this);
       this[`_${key}`].bind(this);
     });
   }
 
+  /**
+   * Whether methods that aren't implemented reject instead of resolving,
+   * the strict option of this {@link Adapter} or, when not provided, the strictAdapters property of the config
+   * @instance
+   * @memberof Adapter
+   * @type {Boolean}
+   */
+  get strict() {
+    return typeof this.options.strict === 'boolean' ? this.options.strict : !!config.strictAdapters;
+  }
+
   /**************
    * PUBLIC API *
    **************/
@@ -163,6 +198,96 @@ class Adapter {
     if (typeof options.name !== 'string') {
       throw new AdapterInvalidPropertyException('no should be a string');
     }
+
+    if (typeof options.strict !== 'undefined' && typeof options.strict !== 'boolean') {
+      throw new AdapterInvalidPropertyException('strict should be a boolean');
+    }
+
+    _.each(abstractMethods, (method) => {
+      if (typeof options[method] !== 'undefined' && typeof options[method] !== 'function') {
+        throw new AdapterInvalidPropertyException(`${method} should be a function`);
+      }
+    });
+
+    if (typeof options.capabilities !== 'undefined') {
+      if (!Array.isArray(options.capabilities)) {
+        throw new AdapterInvalidPropertyException('capabilities should be an array');
+      }
+
+      _.each(options.capabilities, (capability) => {
+        const definition = _.find(ADAPTER_CAPABILITIES, {value: capability});
+
+        if (!definition) {
+          throw new AdapterInvalidPropertyException(`'${capability}' is not a valid capability, use one of: ${_.pluck(ADAPTER_CAPABILITIES, 'value').join(', ')}`);
+        }
+
+        _.each(definition.methods, (method) => {
+          if (typeof options[method] !== 'function') {
+            throw new AdapterMissingPropertyException(`capability '${capability}' is declared but no ${method} method is provided`);
+          }
+        });
+      });
+    }
+  }
+
+  /**
+   * Gets the capabilities of an {@link Adapter} implementation, the declared ones or,
+   * when none are declared, the ones derived from the implemented methods together with binary, streaming and cancellation
+   * @static
+   * @method getCapabilities
+   * @memberof Adapter
+   * @param options {Object} The implementation
+   * @returns {Array<String>}
+   */
+  static getCapabilities(options = {}) {
+    if (Array.isArray(options.capabilities)) {
+      return options.capabilities.slice();
+    }
+
+    return _.pluck(_.filter(ADAPTER_CAPABILITIES, (definition) => {
+      return _.every(definition.methods, (method) => {
+        return typeof options[method] === 'function';
+      });
+    }), 'value');
+  }
+
+  /**
+   * Whether this {@link Adapter} has a capability (see {@link ADAPTER_CAPABILITIES}) or implements a method, so callers can decide what to do at runtime
+   * @instance
+   * @memberof Adapter
+   * @method supports
+   * @param capability {"request"|"upload"|"subscribe"|"binary"|"streaming"|"cancellation"|"connect"|"disconnect"|"unsubscribe"}
+   * @returns {Boolean}
+   * @example
+   * if (connection.adapter.supports('subscribe')) {
+   *   connection.subscribe('user', cb);
+   * } else {
+   *   poll();
+   * }
+   */
+  supports(capability) {
+    if (_.find(ADAPTER_CAPABILITIES, {value: capability})) {
+      return this.capabilities.indexOf(capability) !== -1;
+    }
+
+    return abstractMethods.indexOf(capability) !== -1 && typeof this.options[capability] === 'function';
+  }
+
+  /**
+   * Gets the capabilities out of a list this {@link Adapter} doesn't have,
+   * always empty when this {@link Adapter} doesn't declare its capabilities, so undeclared implementations keep working as they did
+   * @instance
+   * @memberof Adapter
+   * @method getMissingCapabilities
+   * @param capabilities {Array<String>}
+   * @returns {Array<String>}
+   */
+  getMissingCapabilities(capabilities = []) {
+    if (!Array.isArray(this.options.capabilities)) {
+      return [];
+    }
+
+    return _.difference(capabilities, this.capabilities);
   }
 
   /**
@@ -171,10 +296,20 @@ class Adapter {
    * @memberof Adapter
    * @method connect
    * @param url {String} The url of the server (including protocol and port, eg. http://some.domain.com:1337)
+   * @param emitter {EventEmitter} Emitter of the {@link Connection}, the implementation can emit
+   * 'disconnected' (when the transport died), 'error' and 'message' events on it
    * @returns {Promise}
+   * @example
+   * // in an implementation
+   * connect(url, emitter) {
+   *   socket.onclose = (ev) => {
+   *     emitter.emit('disconnected', ev);
+   *   };
+   *   ...
+   * }
    */
-  connect(url) {
-    return this._connect(url)
+  connect(url, emitter) {
+    return this._connect(url, emitter)
   }
 
   /**
@@ -198,9 +333,17 @@ class Adapter {
    * @param request {Object} Request object containing the properties listed below
    *
    * @property url {String} full url for the request, including protocol and port
-   * @property method {"POST"|"PUT"|"DELETE"|"GET"} http method of the request
+   * @property method {"POST"|"PUT"|"DELETE"|"GET"|"PATCH"|"HEAD"|"OPTIONS"} http method of the request
    * @property request {Request|Object} Either an instance of {@link Request} or this options object itself
-   * @property data {*} Data to send with the request
+   * @property data {*} Data to send with the request, as querystring for GET, HEAD and OPTIONS requests
+   * @property body {*} Same as data
+   * @property params {Object} Path variables the url has been filled with
+   * @property query {Object} Querystring parameters, not part of the url yet
+   * @property headers {Object} Headers to send with the request
+   * @property timeout {Number} Timeout in milliseconds, 0 for none, the {@link Connection} enforces it, the implementation may pass it on to the transport
+   * @property cancellation {CancellationToken} Token the implementation can use to abort the transport using cancellation.onCancel(cb)
+   * @property responseType {"json"|"text"|"blob"|"arraybuffer"|undefined} Type the response should be resolved as, determined by the implementation when undefined
+   * @property onProgress {Function} (optional) Should be called with {loaded, total} while downloading the response
    * @returns {Promise}
    */
   request(request) {
@@ -218,9 +361,17 @@ class Adapter {
    * @property url {String} full url for the request, including protocol and port
    * @property method {"POST"|"PUT"|"DELETE"|"GET"} http method of the request
    * @property request {Request|Object} Either an instance of {@link Request} or this options object itself
-   * @property data {*} Data to send with the request
+   * @property data {*} Data to send with the request, files in the files property
+   * @property query {Object} Querystring parameters, not part of the url yet
+   * @property headers {Object} Headers to send with the request
+   * @property timeout {Number} Timeout in milliseconds, 0 for none, the {@link Connection} enforces it, the implementation may pass it on to the transport
+   * @property cancellation {CancellationToken} Token the implementation can use to abort the transport using cancellation.onCancel(cb)
+   * @property onProgress {Function} (optional) Should be called with {loaded, total, files: [{name, loaded, total}]} while uploading
+   * @property chunkSize {Number} When not 0 files should be uploaded in chunks of this amount of bytes
+   * @property chunkRetries {Number} (optional) Amount of times a failed chunk should be retried
+   * @property chunkRetryDelay {Number} (optional) Milliseconds to wait before the first retry of a chunk, doubled for every retry after it
    *
-   * @returns {Promise}
+   * @returns {Promise} Should resolve with the (parsed) response of the server
    */
   upload(request) {
     return this._upload(request);
@@ -232,10 +383,12 @@ class Adapter {
    * @memberof Adapter
    * @method subscribe
    * @param event {String} Event to subscribe to
+   * @param cb {Function} Function to call when the event has been received from the server
+   * @param url {String} The url of the server (including protocol and port), the one the {@link Connection} subscribing connects to
    * @returns {Promise}
    */
-  subscribe(event) {
-    return this._subscribe(event);
+  subscribe(event, cb, url) {
+    return this._subscribe(event, cb, url);
   }
 
   /**
@@ -244,10 +397,12 @@ class Adapter {
    * @memberof Adapter
    * @method unsubscribe
    * @param event {String} Event to subscribe to
+   * @param cb {Function} (optional) Function to remove, when omitted all subscriptions to the event are removed
+   * @param url {String} The url of the server (including protocol and port), the one the {@link Connection} unsubscribing connects to
    * @returns {Promise}
    */
-  unsubscribe(event) {
-    return this._unsubscribe(event);
+  unsubscribe(event, cb, url) {
+    return this._unsubscribe(event, cb, url);
   }
 
   /***************
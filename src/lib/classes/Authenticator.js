@@ -0,0 +1,230 @@
+import _ from 'lodash';
+
+import AuthenticatorInvalidPropertyException from '../exceptions/AuthenticatorInvalidPropertyException';
+import AuthenticatorMissingPropertyException from '../exceptions/AuthenticatorMissingPropertyException';
+
+const types = {
+
+  bearer(options, request) {
+    return Promise.resolve(typeof options.token === 'function' ? options.token() : options.token)
+      .then((token) => {
+        if (token) {
+          request.headers.Authorization = `Bearer ${token}`;
+        }
+
+        return request;
+      });
+  },
+
+  basic(options, request) {
+    request.headers.Authorization = `Basic ${btoa(`${options.username}:${options.password}`)}`;
+
+    return Promise.resolve(request);
+  },
+
+  custom(options, request) {
+    return Promise.resolve(options.authenticate(request))
+      .then((_request) => {
+        return _request || request;
+      });
+  }
+
+};
+
+/**
+ * An {@link Authenticator} injects credentials into every request a {@link Connection} sends to its {@link Adapter},
+ * when the server responds with a 401 it refreshes the credentials (once, no matter how many requests failed) and replays the failed requests.
+ * Instantiated by the {@link Connection} when an auth property is provided in its options.
+ *
+ * @property type {"bearer"|"basic"|"custom"} The type of authentication
+ * @property token {String|Function} (bearer) The token, or a function returning (a Promise resolving) the token
+ * @property username {String} (basic) The username
+ * @property password {String} (basic) The password
+ * @property authenticate {Function} (custom) Function that takes the request built for the {@link Adapter} and adds credentials to it, may return a Promise
+ * @property refresh {Function} (optional) Function that refreshes the credentials, should return a Promise,
+ * for the bearer type the value it resolves with replaces the token (when the token isn't a function).
+ * Requests it sends using the same {@link Connection} need auth set to false (on the {@link Request} or the call),
+ * requests with credentials wait for the refresh to finish
+ * @property isUnauthorized {Function} (optional) Function that takes the rejection of the {@link Adapter} and returns whether the credentials were rejected,
+ * defaults to checking for a status of 401
+ *
+ * @param options {Object} Object containing the properties
+ *
+ * @class Authenticator
+ * @see {@link Connection}
+ *
+ * @global
+ * @example
+ * const connection = new Connection({
+ *   name: 'api',
+ *   url: 'http://localhost:1337',
+ *   adapter: 'XHR',
+ *   auth: {
+ *     type: 'bearer',
+ *     token: () => session.accessToken,
+ *     refresh() {
+ *       return refreshRequest.execute({refreshToken: session.refreshToken})
+ *         .then((data) => {
+ *           session.accessToken = data.accessToken;
+ *         });
+ *     }
+ *   }
+ * });
+ *
+ * const refreshRequest = new Request({
+ *   name: 'RefreshTokenRequest',
+ *   method: 'post',
+ *   route: '/token',
+ *   connection: 'api',
+ *   auth: false
+ * });
+ */
+class Authenticator {
+
+  constructor(options = {}) {
+    Authenticator.validateImplementation(options);
+
+    this.options = options;
+    this._refreshPromise = null;
+
+    // incremented on every successful refresh, so requests sent with stale credentials don't trigger another refresh
+    this._generation = 0;
+  }
+
+  /**************
+   * PUBLIC API *
+   **************/
+
+  /**
+   * Validates an implementation of an {@link Authenticator}, throws an Error when a validation error occurs.
+   * @static
+   * @method validateImplementation
+   * @memberof Authenticator
+   * @param options {Object} The implementation to validate
+   * @throws Error
+   */
+  static validateImplementation(options = {}) {
+    if (!options.type) {
+      throw new AuthenticatorMissingPropertyException('no type provided');
+    }
+
+    if (!types[options.type]) {
+      throw new AuthenticatorInvalidPropertyException(`'${options.type}' is not a valid type, use one of: ${_.keys(types).join(', ')}`);
+    }
+
+    if (options.type === 'bearer' && (typeof options.token === 'undefined' || options.token === null)) {
+      throw new AuthenticatorMissingPropertyException('no token provided');
+    }
+
+    if (options.type === 'basic' && typeof options.username !== 'string') {
+      throw new AuthenticatorInvalidPropertyException('username must be a string');
+    }
+
+    if (options.type === 'custom' && typeof options.authenticate !== 'function') {
+      throw new AuthenticatorInvalidPropertyException('authenticate must be a function');
+    }
+
+    if (typeof options.refresh !== 'undefined' && typeof options.refresh !== 'function') {
+      throw new AuthenticatorInvalidPropertyException('refresh must be a function');
+    }
+  }
+
+  /**
+   * Adds the credentials to a request, waits for a refresh in progress first.
+   * @instance
+   * @memberof Authenticator
+   * @method authenticate
+   * @param request {Object} The request built for the {@link Adapter}
+   * @returns {Promise}
+   */
+  authenticate(request) {
+    return (this._refreshPromise || Promise.resolve())
+      .then(() => {
+        request.headers = request.headers || {};
+
+        return types[this.options.type](this.options, request);
+      });
+  }
+
+  /**
+   * Refreshes the credentials, concurrent calls share the same refresh.
+   * @instance
+   * @memberof Authenticator
+   * @method refresh
+   * @returns {Promise}
+   */
+  refresh() {
+    if (!this._refreshPromise) {
+      this._refreshPromise = Promise.resolve(this.options.refresh())
+        .then((value) => {
+          if (this.options.type === 'bearer' && typeof this.options.token !== 'function' && value) {
+            this.options.token = value;
+          }
+
+          this._generation++;
+          this._refreshPromise = null;
+        }, (err) => {
+          this._refreshPromise = null;
+
+          return Promise.reject(err);
+        });
+    }
+
+    return this._refreshPromise;
+  }
+
+  /**
+   * Whether a rejection of the {@link Adapter} means the credentials were rejected
+   * @instance
+   * @memberof Authenticator
+   * @method isUnauthorized
+   * @param err {*} The rejection of the {@link Adapter}
+   * @returns {Boolean}
+   */
+  isUnauthorized(err) {
+    if (typeof this.options.isUnauthorized === 'function') {
+      return !!this.options.isUnauthorized(err);
+    }
+
+    return !!err && err.status === 401;
+  }
+
+  /**
+   * Sends a request with credentials, when the credentials are rejected they are refreshed and the request is replayed once.
+   * @instance
+   * @memberof Authenticator
+   * @method execute
+   * @param request {Object} The request built for the {@link Adapter}
+   * @param send {Function} Function that sends the request using the {@link Adapter}, should return a Promise
+   * @returns {Promise}
+   */
+  execute(request, send) {
+    let generation = null;
+
+    const authenticateAndSend = () => {
+      return this.authenticate(request)
+        .then((_request) => {
+          generation = this._generation;
+          return send(_request);
+        });
+    };
+
+    return authenticateAndSend()
+      .catch((err) => {
+        if (!this.options.refresh || !this.isUnauthorized(err)) {
+          return Promise.reject(err);
+        }
+
+        const refreshed = generation === this._generation ? this.refresh() : Promise.resolve();
+
+        return refreshed
+          .then(authenticateAndSend, () => {
+            // refreshing failed, reject with the original error
+            return Promise.reject(err);
+          });
+      });
+  }
+
+}
+
+export default Authenticator;
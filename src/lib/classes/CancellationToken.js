@@ -0,0 +1,131 @@
+import _ from 'lodash';
+
+import RequestCancelledException from '../exceptions/RequestCancelledException';
+
+/**
+ * A {@link CancellationToken} is used to cancel requests, it can be passed into {@link Connection#request} and {@link Request#execute}
+ * using the cancellation option. {@link Adapter}s receive it as the cancellation property of the request so they can abort the transport.
+ *
+ * @property cancelled {Boolean} Whether the token has been cancelled
+ * @property reason {Error} The reason the token has been cancelled with
+ *
+ * @class CancellationToken
+ * @see {@link Connection}
+ *
+ * @global
+ * @example
+ * const token = new CancellationToken();
+ *
+ * connection.get('/user/:id', {id: 3}, {cancellation: token})
+ *   .catch((err) => {
+ *     // err is a RequestCancelledException
+ *   });
+ *
+ * token.cancel();
+ *
+ * // in an Adapter
+ * request(options) {
+ *   const xhr = $.ajax(options);
+ *
+ *   options.cancellation.onCancel(() => {
+ *     xhr.abort();
+ *   });
+ *   ...
+ * }
+ */
+class CancellationToken {
+
+  constructor() {
+    this.cancelled = false;
+    this.reason = null;
+
+    this._callbacks = [];
+    this.promise = new Promise((resolve, reject) => {
+      this._reject = reject;
+    });
+
+    // the promise only rejects for whoever races it, don't report it as unhandled
+    this.promise.catch(_.noop);
+  }
+
+  /**************
+   * PUBLIC API *
+   **************/
+
+  /**
+   * Creates a {@link CancellationToken} that is cancelled when an AbortSignal (or another {@link CancellationToken}) is,
+   * cancelling the created token doesn't cancel the signal, so a token passed into several requests can't be cancelled by one of them timing out
+   * @static
+   * @method from
+   * @memberof CancellationToken
+   * @param signal {AbortSignal|CancellationToken}
+   * @returns {CancellationToken}
+   */
+  static from(signal) {
+    const token = new CancellationToken();
+
+    if (signal && signal.constructor && signal.constructor._type === 'CancellationToken') {
+      signal.onCancel((reason) => {
+        token.cancel(reason);
+      });
+    } else if (signal) {
+      if (signal.aborted) {
+        token.cancel();
+      } else {
+        signal.addEventListener('abort', () => {
+          token.cancel();
+        });
+      }
+    }
+
+    return token;
+  }
+
+  /**
+   * Cancels this token, calling the callbacks registered using {@link CancellationToken#onCancel}
+   * @instance
+   * @memberof CancellationToken
+   * @method cancel
+   * @param reason {Error} (optional) defaults to a {@link RequestCancelledException}
+   */
+  cancel(reason = new RequestCancelledException('request cancelled')) {
+    if (this.cancelled) {
+      return;
+    }
+
+    this.cancelled = true;
+    this.reason = reason;
+
+    _.each(this._callbacks.splice(0), (cb) => {
+      cb(reason);
+    });
+
+    this._reject(reason);
+  }
+
+  /**
+   * Registers a callback that is called when this token is cancelled, immediately if it has been cancelled already
+   * @instance
+   * @memberof CancellationToken
+   * @method onCancel
+   * @param cb {Function} Function that receives the reason
+   */
+  onCancel(cb) {
+    if (this.cancelled) {
+      cb(this.reason);
+    } else {
+      this._callbacks.push(cb);
+    }
+  }
+
+  /***************
+   * PRIVATE API *
+   ***************/
+
+  static get _type() {
+    return 'CancellationToken';
+  }
+
+}
+
+export default CancellationToken;
@@ -4,11 +4,18 @@ import _Adapter from './Adapter';
 import _Connection from './Connection';
 import _Request from './Request';
 import _ClassWithConnection from './ClassWithConnection';
+import _CancellationToken from './CancellationToken';
+import _Response from './Response';
 
 import _adapters from '../singletons/adapters';
 import _connections from '../singletons/connections';
 import _requests from '../singletons/requests';
 import _config from '../singletons/config';
+import _interceptors from '../singletons/interceptors';
+import _policyExecutor from '../singletons/policyExecutor';
+
+import _requestExceptions from '../helpers/requestExceptions';
+import saveFile from '../helpers/saveFile';
 
 import CommunicatorInvalidPropertyException from '../exceptions/CommunicatorInvalidPropertyException';
 import CommunicatorMissingPropertyException from '../exceptions/CommunicatorMissingPropertyException';
@@ -25,14 +32,21 @@ import CommunicatorMissingPropertyException from '../exceptions/CommunicatorMiss
  * @property Adapter {Adapter} The {@link Adapter} class, exposed so {@link Adapter}s can be constructed, available on the instance as well as the class
  * @property Request {Request} The {@link Request} class, exposed so {@link Request}s can be constructed, available on the instance as well as the class
  * @property Connection {Connection} The {@link Connection} class, exposed so {@link Connection}s can be constructed, available on the instance as well as the class
+ * @property CancellationToken {CancellationToken} The {@link CancellationToken} class, exposed so requests can be cancelled, available on the instance as well as the class
+ * @property Response {Response} The {@link Response} class, exposed so custom {@link Adapter}s can resolve with one, available on the instance as well as the class
  *
  * @property options {Object} Options object that was passed into the constructor
  *
- * @property config {Object} Configuration for the communicator, containing properties such as 'defaultConnection'
+ * @property config {Object} Configuration for the communicator, containing properties such as 'defaultConnection' and 'strictAdapters'
+ * (set to true to make methods {@link Adapter}s don't implement reject instead of resolving, see {@link Adapter})
  *
  * @property adapters {Object} Hashmap containing adapters, this object will be registered using {@link Communicator#registerAdapters}
  * @property connections {Object} Hashmap containing connections, this object will be registered using {@link Communicator#registerConnections}
  * @property requests {Object} Hashmap containing requests, this object will be registered using {@link Communicator#registerRequests}
+ * @property policyExecutor {PolicyExecutor} The policy-executor retry policies of {@link Request}s can refer to, register policies using policyExecutor.registerPolicy(name, fn)
+ * @property exceptions {Object} Hashmap containing the exceptions requests reject with (NotFoundException, NetworkException and so on), for use with instanceof,
+ * available on the instance as well as the class
+ * @property interceptors {Array<Object>} Interceptors that apply to all {@link Connection}s, these will be registered using {@link Communicator#registerInterceptor}
  *
  * @param options {Object} Object containing the properties
  *
@@ -125,6 +139,14 @@ class Communicator {
     return _ClassWithConnection;
   }
 
+  get CancellationToken() {
+    return _CancellationToken;
+  }
+
+  get Response() {
+    return _Response;
+  }
+
   static get Adapter() {
     return _Adapter;
   }
@@ -141,6 +163,14 @@ class Communicator {
     return _ClassWithConnection;
   }
 
+  static get CancellationToken() {
+    return _CancellationToken;
+  }
+
+  static get Response() {
+    return _Response;
+  }
+
   get config() {
     return _config;
   }
@@ -157,6 +187,22 @@ class Communicator {
     return _adapters;
   }
 
+  get exceptions() {
+    return _requestExceptions;
+  }
+
+  static get exceptions() {
+    return _requestExceptions;
+  }
+
+  get interceptors() {
+    return _interceptors;
+  }
+
+  get policyExecutor() {
+    return _policyExecutor;
+  }
+
   /**
    **************
    * PUBLIC API *
@@ -286,6 +332,48 @@ class Communicator {
     return new _Request(request);
   }
 
+  /**
+   * Registers an interceptor that applies to the requests of all {@link Connection}s, also available as a static method.
+   * These run before the interceptors registered on the {@link Connection} itself.
+   * @memberof Communicator
+   * @method registerInterceptor
+   * @instance
+   * @param interceptor {Object} Object containing request, response and/or error hooks
+   * @see {@link Connection#registerInterceptor}
+   * @example
+   * communicator.registerInterceptor({
+   *   request(request) {...},
+   *   response(result, request) {...},
+   *   error(err, request) {...}
+   * });
+   */
+  registerInterceptor(interceptor) {
+    return Communicator.registerInterceptor(interceptor);
+  }
+
+  static registerInterceptor(interceptor = {}) {
+    _interceptors.push(interceptor);
+
+    return interceptor;
+  }
+
+  /**
+   * Removes an interceptor registered using {@link Communicator#registerInterceptor}, also available as a static method.
+   * @memberof Communicator
+   * @method removeInterceptor
+   * @instance
+   * @param interceptor {Object} The interceptor to remove
+   * @example
+   * communicator.removeInterceptor(interceptor);
+   */
+  removeInterceptor(interceptor) {
+    return Communicator.removeInterceptor(interceptor);
+  }
+
+  static removeInterceptor(interceptor) {
+    _.pull(_interceptors, interceptor);
+  }
+
   /**
    ********************************
    * CONNECTING AND DISCONNECTING *
@@ -343,6 +431,36 @@ class Communicator {
     return connection.disconnect();
   }
 
+  /**
+   *************
+   * DOWNLOADS *
+   *************
+   */
+
+  /**
+   * Saves data (the result of a {@link Request} with download set to true for example) as a file on the computer of the user,
+   * also available as a static method.
+   * @method saveFile
+   * @memberof Communicator
+   * @instance
+   * @param data {Blob|ArrayBuffer|String} The data to save
+   * @param filename {String} The name of the file
+   * @param type {String} (optional) Mime type, used when the data isn't a Blob already
+   * @returns {Blob}
+   * @example
+   * communicator.requests.ExportReportRequest.execute({id: 3})
+   *   .then((blob) => {
+   *     communicator.saveFile(blob, 'report.pdf');
+   *   });
+   */
+  saveFile(data, filename, type) {
+    return Communicator.saveFile(data, filename, type);
+  }
+
+  static saveFile(data, filename, type) {
+    return saveFile(data, filename, type);
+  }
+
   /**
    ***************
    * PRIVATE API *
@@ -365,6 +483,10 @@ class Communicator {
     if (options.requests) {
       this.registerRequests(options.requests);
     }
+
+    _.each(options.interceptors, (interceptor) => {
+      this.registerInterceptor(interceptor);
+    });
   }
 
   /**
@@ -6,9 +6,23 @@ import routeUtil from 'frntnd-route-util';
 
 import adapters from '../singletons/adapters';
 import connections from '../singletons/connections';
+import requests from '../singletons/requests';
+import globalInterceptors from '../singletons/interceptors';
 
 import Adapter from './Adapter';
+import Authenticator from './Authenticator';
+import CancellationToken from './CancellationToken';
+import CsrfProtection from './CsrfProtection';
+import OfflineQueue from './OfflineQueue';
+import RetryPolicy from './RetryPolicy';
 import Request from './Request';
+import RequestCache from './RequestCache';
+import Response from './Response';
+
+import pickSerializableOptions from '../helpers/pickSerializableOptions';
+import saveFile from '../helpers/saveFile';
+import serialize from '../helpers/serialize';
+import validateHeaders from '../helpers/validateHeaders';
 
 import CONNECTION_STATE from '../enums/CONNECTION_STATE';
 import REQUEST_METHODS from '../enums/REQUEST_METHODS';
@@ -17,7 +31,40 @@ import ConnectionInvalidPropertyException from '../exceptions/ConnectionInvalidP
 import ConnectionMissingPropertyException from '../exceptions/ConnectionMissingPropertyException';
 
 import RequestInvalidPropertyException from '../exceptions/RequestInvalidPropertyException';
+import RequestCancelledException from '../exceptions/RequestCancelledException';
 import RequestMissingPropertyException from '../exceptions/RequestMissingPropertyException';
+import RequestTimeoutException from '../exceptions/RequestTimeoutException';
+
+// returned by request interceptors (through the respond function passed into them) to skip the Adapter
+class InterceptedResponse {
+
+  constructor(value) {
+    this.value = value;
+  }
+
+}
+
+// a 304 answered with a remembered body, the body went through the response hooks when it was remembered so it skips them
+class RememberedResponse {
+
+  constructor(response) {
+    this.response = response;
+  }
+
+}
+
+// headers can be specified as an object or as a function of the data
+function resolveHeaders(headers, data) {
+  return typeof headers === 'function' ? headers(data) : headers;
+}
+
+const defaultReconnectOptions = {
+  attempts: 10,
+  delay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.5
+};
 
 /**
  * The {@link Connection} class serves to execute {@link Request}s using an {@link Adapter}.
@@ -25,12 +72,23 @@ import RequestMissingPropertyException from '../exceptions/RequestMissingPropert
  * @property name {String} Name of the connection, 'local-xhr' for example
  * @property adapter {String} Reference to the name of an {@link Adapter}, 'XHR' for example, the {@link Connection} will use this adapter to execute {@link Request}s
  * @property url {String} The base url of the connection, including protocol and port (if necessary), 'http://localhost:1337' for example
+ * @property headers {Object|Function} (optional) Headers sent with every request executed using this connection, or a function that takes the data and returns them
+ * @property timeout {Number} (optional) Default timeout in milliseconds for the requests executed using this connection
+ * @property auth {Object} (optional) Authentication strategy, containing the properties for an {@link Authenticator}
+ * @property csrf {Boolean|Object} (optional) Fetches a CSRF token and sends it with mutating requests and uploads, containing the properties for a {@link CsrfProtection}
+ * @property offline {Boolean|Object} (optional) Queues mutating requests while not connected and replays them on connect, containing the properties for an {@link OfflineQueue}.
+ * Nothing is queued before {@link Connection#connect} has been called, so call it for Adapters without a persistent transport (XHR, Fetch) as well
+ * @property interceptors {Array<Object>} (optional) Interceptors for this connection, see {@link Connection#registerInterceptor}
+ * @property dedupe {Boolean} (optional) Shares one in-flight request between the GET, HEAD and OPTIONS requests executed with equal data and options,
+ * instead of sending each of them, {@link Request}s can override this using their own dedupe option
+ * @property reconnect {Boolean|Number|Object} (optional) Reconnect policy, true for the defaults, a number for the maximum amount of attempts or an object containing: attempts (10), delay (1000), maxDelay (30000), factor (2) and jitter (0.5)
  *
  * @property options {Object} **SET AUTOMATICALLY** Options passed into the constructor
  * @property state {enums/CONNECTION_STATE} **SET AUTOMATICALLY** The connection state of the {@link Connection}
  * @property connected {Boolean} **SET AUTOMATICALLY** Boolean indicating whether this {@link Connection} is connected
  * @property disconnected {Boolean} **SET AUTOMATICALLY** Boolean indicating whether this {@link Connection} is disconnected
  * @property connecting {Boolean} **SET AUTOMATICALLY** Boolean indicating whether this {@link Connection} is connecting
+ * @property reconnecting {Boolean} **SET AUTOMATICALLY** Boolean indicating whether this {@link Connection} is reconnecting
  *
  * @param options {Object} Object containing the properties (name, adapter and url)
  *
@@ -46,10 +104,29 @@ import RequestMissingPropertyException from '../exceptions/RequestMissingPropert
  *   adapter: 'XHR'
  * });
  *
+ * // headers sent with every request, for example the CSRF token of the session
+ * const connectionWithHeaders = new Connection({
+ *   name: 'local-xhr-csrf',
+ *   url: 'http://localhost:1337',
+ *   adapter: 'XHR',
+ *   headers: () => {
+ *     return {'X-CSRF-Token': session.csrfToken};
+ *   }
+ * });
+ *
  * // execute Requests
  * connection.request(request, data)
  *   .then(...);
  *
+ * // separate path variables, querystring, body and headers
+ * connection.request(request, {
+ *     params: {id: 3},
+ *     query: {expand: 'roles'},
+ *     body: {name: 'x'},
+ *     headers: {'X-Requested-By': 'app'}
+ *   }, {structured: true})
+ *   .then(...);
+ *
  * // execute undefined request
  * connection.get('/some/route/:id', data)
  *   .then(...);
@@ -59,6 +136,12 @@ import RequestMissingPropertyException from '../exceptions/RequestMissingPropert
  *   .then(...);
  * connection.delete('/some/route/:id', data)
  *   .then(...);
+ * connection.patch('/some/route/:id', data)
+ *   .then(...);
+ * connection.head('/some/route/:id', data)
+ *   .then(...);
+ * connection.optionsRequest('/some/route/:id', data)
+ *   .then(...);
  *
  * // subscribe to server events
  * connection.subscribe('user', (ev) => {
@@ -78,6 +161,37 @@ import RequestMissingPropertyException from '../exceptions/RequestMissingPropert
  *
  * });
  *
+ * // only triggered when a reconnect policy is specified
+ * connection.on('reconnecting', ({attempt, delay}) => {
+ *
+ * });
+ *
+ * connection.on('reconnect', ({attempt}) => {
+ *
+ * });
+ *
+ * // events reported by the Adapter
+ * connection.on('disconnect', (reason) => {
+ *
+ * });
+ *
+ * connection.on('error', (err) => {
+ *
+ * });
+ *
+ * connection.on('message', (data) => {
+ *
+ * });
+ *
+ * // only triggered when offline mode is enabled
+ * connection.on('queued', (entry) => {
+ *
+ * });
+ *
+ * connection.on('replayed', ({entry, result, error}) => {
+ *
+ * });
+ *
  * // listen for custom events
  * connection.on('someEvent', (data) => {
  *
@@ -110,6 +224,48 @@ class Connection {
     this.adapter = adapters[this.options.adapter];
     this._state = CONNECTION_STATE.DISCONNECTED;
     this._emitter = new events.EventEmitter();
+    this._reconnectOptions = this._normalizeReconnectOptions(options.reconnect);
+
+    // emitter passed into the Adapter when connecting, so it can report what happens to the transport
+    this._adapterEmitter = new events.EventEmitter();
+    this._listenToAdapter();
+
+    this.auth = options.auth ? new Authenticator(options.auth) : null;
+
+    this.csrf = options.csrf ? new CsrfProtection(options.csrf, (route) => {
+      return this._sendToAdapter(this._prepareRequest({
+        method: 'GET',
+        route
+      }))
+        .then((response) => {
+          return response.body;
+        });
+    }) : null;
+
+    this.offlineQueue = options.offline ? new OfflineQueue(options.offline, options.name) : null;
+
+    // promises of requests queued in this session, by the id of their entry
+    this._queuedRequests = {};
+
+    // requests are only queued once connecting has been tried, connections that are never connected would queue forever
+    this._connectAttempted = false;
+
+    // incremented on disconnect, so attempts to connect that are still running are ignored
+    this._connectGeneration = 0;
+
+    if (this.offlineQueue) {
+      this.on('connect', () => {
+        this.flushQueue();
+      });
+    }
+
+    // requests in flight that can be shared ({promise, cancellation, callers}), by their dedupe key
+    this._inFlight = {};
+
+    this._interceptors = [];
+    _.each(options.interceptors, (interceptor) => {
+      this.registerInterceptor(interceptor);
+    });
   }
 
   /***************
@@ -216,6 +372,53 @@ class Connection {
     return this[this.options.exposeRequestsOn][_request.options.shortName] = _request.execute;
   }
 
+  /**
+   * Registers an interceptor for this {@link Connection}, interceptors registered on the {@link Communicator} run before these.
+   * An interceptor is an object containing (all optional):
+   *
+   * - request(request, respond): receives the object built for the {@link Adapter}, should return it (or a Promise resolving it),
+   *   return respond(value) to skip the {@link Adapter} and resolve with value, or reject to fail the request
+   * - response(result, request, response): transforms the result (the body of the {@link Response}), may return a rejecting Promise
+   * - error(err, request): handles a failed request (err usually being a {@link RequestFailedException}), return a value to recover or reject (with err) to keep failing
+   *
+   * Request hooks run in the order the interceptors were registered, response and error hooks in reverse order.
+   *
+   * @method registerInterceptor
+   * @instance
+   * @memberof Connection
+   * @param interceptor {Object} Object containing the request, response and/or error hooks
+   * @returns {Object} The interceptor
+   * @example
+   * connection.registerInterceptor({
+   *   request(request) {
+   *     request.data.token = session.token;
+   *     return request;
+   *   },
+   *   response(result) {
+   *     return result.data;
+   *   }
+   * });
+   */
+  registerInterceptor(interceptor) {
+    this._interceptors.push(interceptor);
+
+    return interceptor;
+  }
+
+  /**
+   * Removes an interceptor previously registered using {@link Connection#registerInterceptor}
+   *
+   * @method removeInterceptor
+   * @instance
+   * @memberof Connection
+   * @param interceptor {Object} The interceptor to remove
+   * @example
+   * connection.removeInterceptor(interceptor);
+   */
+  removeInterceptor(interceptor) {
+    _.pull(this._interceptors, interceptor);
+  }
+
   /**
    * Gets a {@link Connection} instance by name
    * @static
@@ -275,6 +478,46 @@ class Connection {
     if (typeof options.url !== 'string') {
       throw new ConnectionInvalidPropertyException('url is not a string');
     }
+
+    // headers
+
+    validateHeaders(options.headers, ConnectionInvalidPropertyException);
+
+    // timeout
+
+    if (typeof options.timeout !== 'undefined' && options.timeout !== null && typeof options.timeout !== 'number') {
+      throw new ConnectionInvalidPropertyException('timeout must be a number');
+    }
+
+    // csrf - fetching the token needs an Adapter that can execute requests
+
+    if (typeof options.csrf !== 'undefined' && options.csrf !== null && options.csrf !== false) {
+      CsrfProtection.validateImplementation(options.csrf);
+
+      if (adapters[options.adapter].getMissingCapabilities(['request']).length) {
+        throw new ConnectionInvalidPropertyException(`csrf can't be used with adapter ${options.adapter}, it lacks the request capability`);
+      }
+    }
+
+    // offline
+
+    if (typeof options.offline !== 'undefined' && options.offline !== null && options.offline !== false) {
+      OfflineQueue.validateImplementation(options.offline);
+    }
+
+    // dedupe
+
+    if (typeof options.dedupe !== 'undefined' && options.dedupe !== null && typeof options.dedupe !== 'boolean') {
+      throw new ConnectionInvalidPropertyException('dedupe must be a boolean');
+    }
+
+    // reconnect
+
+    if (typeof options.reconnect !== 'undefined' && options.reconnect !== null) {
+      if (['boolean', 'number', 'object'].indexOf(typeof options.reconnect) === -1) {
+        throw new ConnectionInvalidPropertyException('reconnect must be a boolean, number or object');
+      }
+    }
   }
 
   get state() {
@@ -293,6 +536,10 @@ class Connection {
     return this.state === CONNECTION_STATE.DISCONNECTED;
   }
 
+  get reconnecting() {
+    return this.state === CONNECTION_STATE.RECONNECTING;
+  }
+
   /**
    * Ensures a the {@link Connection} is connected.
    * @method connect
@@ -309,7 +556,7 @@ class Connection {
     if (this.connected) {
       promise = Promise.resolve();
 
-    } else if (this.connecting) {
+    } else if (this.connecting || this.reconnecting) {
       promise = new Promise((resolve, reject) => {
         this.on('connect', resolve);
         this.on('connectionFail', reject);
@@ -323,7 +570,7 @@ class Connection {
   }
 
   /**
-   * Disconnects this {@link Connection}
+   * Disconnects this {@link Connection}, attempts to (re)connect that are still waiting or running are cancelled
    * @method disconnect
    * @memberof Connection
    * @instance
@@ -333,7 +580,9 @@ class Connection {
    *  .then(...);
    */
   disconnect() {
-    return this.adapter.disconnect()
+    this._cancelReconnect();
+
+    return this.adapter.disconnect(this.options.url)
       .then(() => {
         this._state = CONNECTION_STATE.DISCONNECTED;
         return Promise.resolve();
@@ -347,16 +596,17 @@ class Connection {
    * @memberof Connection
    * @param route {String} Route of the request, splats will be filled with data from the data parameter
    * @param data {*} Data to send with the request and fill splats in the route with
+   * @param options {Object} (optional) Options for this call, see {@link Connection#request}
    * @returns {Promise}
    * @example
    * connection.post('/user/:splat', {splat: 3})
    *   .then(...);
    */
-  post(route, data = {}) {
+  post(route, data = {}, options = {}) {
     return this.request({
       method: 'POST',
       route
-    }, data);
+    }, data, options);
   }
 
   /**
@@ -366,16 +616,17 @@ class Connection {
    * @memberof Connection
    * @param route {String} Route of the request, splats will be filled with data from the data parameter
    * @param data {*} Data to send with the request and fill splats in the route with
+   * @param options {Object} (optional) Options for this call, see {@link Connection#request}
    * @returns {Promise}
    * @example
    * connection.put('/user/:splat', {splat: 3})
    *   .then(...);
    */
-  put(route, data) {
+  put(route, data, options) {
     return this.request({
       method: 'PUT',
       route
-    }, data);
+    }, data, options);
   }
 
   /**
@@ -385,16 +636,17 @@ class Connection {
    * @memberof Connection
    * @param route {String} Route of the request, splats will be filled with data from the data parameter
    * @param data {*} Data to send with the request and fill splats in the route with
+   * @param options {Object} (optional) Options for this call, see {@link Connection#request}
    * @returns {Promise}
    * @example
    * connection.delete('/user/:splat', {splat: 3})
    *   .then(...);
    */
-  'delete'(route, data) {
+  'delete'(route, data, options) {
     return this.request({
       method: 'DELETE',
       route
-    }, data);
+    }, data, options);
   }
 
   /**
@@ -404,16 +656,107 @@ class Connection {
    * @memberof Connection
    * @param route {String} Route of the request, splats will be filled with data from the data parameter
    * @param data {*} Data to send with the request and fill splats in the route with
+   * @param options {Object} (optional) Options for this call, see {@link Connection#request}
    * @returns {Promise}
    * @example
    * connection.get('/user/:splat', {splat: 3})
    *   .then(...);
    */
-  get(route, data) {
+  get(route, data, options) {
     return this.request({
       method: 'GET',
       route
-    }, data);
+    }, data, options);
+  }
+
+  /**
+   * Executes a patch request using this {@link Connection}
+   * @method patch
+   * @instance
+   * @memberof Connection
+   * @param route {String} Route of the request, splats will be filled with data from the data parameter
+   * @param data {*} Data to send with the request and fill splats in the route with
+   * @param options {Object} (optional) Options for this call, see {@link Connection#request}
+   * @returns {Promise}
+   * @example
+   * connection.patch('/user/:splat', {splat: 3})
+   *   .then(...);
+   */
+  patch(route, data, options) {
+    return this.request({
+      method: 'PATCH',
+      route
+    }, data, options);
+  }
+
+  /**
+   * Executes a head request using this {@link Connection}
+   * @method head
+   * @instance
+   * @memberof Connection
+   * @param route {String} Route of the request, splats will be filled with data from the data parameter
+   * @param data {*} Data to send as querystring with the request and fill splats in the route with
+   * @param options {Object} (optional) Options for this call, see {@link Connection#request}
+   * @returns {Promise}
+   * @example
+   * connection.head('/user/:splat', {splat: 3})
+   *   .then(...);
+   */
+  head(route, data, options) {
+    return this.request({
+      method: 'HEAD',
+      route
+    }, data, options);
+  }
+
+  /**
+   * Executes an options request using this {@link Connection},
+   * not called options because that property holds the options passed into the constructor
+   * @method optionsRequest
+   * @instance
+   * @memberof Connection
+   * @param route {String} Route of the request, splats will be filled with data from the data parameter
+   * @param data {*} Data to send as querystring with the request and fill splats in the route with
+   * @param options {Object} (optional) Options for this call, see {@link Connection#request}
+   * @returns {Promise}
+   * @example
+   * connection.optionsRequest('/user/:splat', {splat: 3})
+   *   .then(...);
+   */
+  optionsRequest(route, data, options) {
+    return this.request({
+      method: 'OPTIONS',
+      route
+    }, data, options);
+  }
+
+  /**
+   * Downloads a file using a get request and saves it on the computer of the user
+   * @method download
+   * @instance
+   * @memberof Connection
+   * @param route {String} Route of the file, splats will be filled with data from the data parameter
+   * @param data {*} Data to send as querystring with the request and fill splats in the route with
+   * @param filename {String} Name to save the file as
+   * @param options {Object} (optional) Options for this call, see {@link Connection#request}, use onProgress to follow the download
+   * @returns {Promise} Resolves with the downloaded Blob
+   * @example
+   * connection.download('/report/:id/export', {id: 3}, 'report.pdf', {
+   *     onProgress({loaded, total}) {
+   *       // ...
+   *     }
+   *   })
+   *   .then(...);
+   */
+  download(route, data, filename, options) {
+    return this.request({
+      method: 'GET',
+      route,
+      download: true
+    }, data, options)
+      .then((blob) => {
+        return saveFile(blob, filename);
+      });
   }
 
   /**
@@ -446,6 +789,87 @@ class Connection {
     return this._emitter.on(event, cb);
   }
 
+  /**
+   * Gets the requests queued while this {@link Connection} was offline, oldest first
+   * @method getQueue
+   * @instance
+   * @memberof Connection
+   * @returns {Promise} Resolves with an array of entries (id, request, method, route, data, options and time)
+   * @see {@link OfflineQueue}
+   * @example
+   * connection.getQueue()
+   *   .then(entries => {
+   *     console.log(`${entries.length} changes waiting to be sent`);
+   *   });
+   */
+  getQueue() {
+    return this.offlineQueue ? this.offlineQueue.getAll() : Promise.resolve([]);
+  }
+
+  /**
+   * Replays the queued requests in order, happens automatically on connect.
+   * Stops when the {@link Connection} isn't connected (anymore), entries are removed from the queue whether they succeed or fail.
+   * @method flushQueue
+   * @instance
+   * @memberof Connection
+   * @returns {Promise}
+   * @example
+   * connection.flushQueue()
+   *   .then(...);
+   */
+  flushQueue() {
+    if (!this.offlineQueue) {
+      return Promise.resolve();
+    }
+
+    if (!this._flushPromise) {
+      this._flushPromise = this.offlineQueue.getAll()
+        .then((entries) => {
+          return _.reduce(entries, (promise, entry) => {
+            return promise.then(() => {
+              return this.connected ? this._replay(entry) : undefined;
+            });
+          }, Promise.resolve());
+        })
+        .then(() => {
+          this._flushPromise = null;
+        }, (err) => {
+          this._flushPromise = null;
+          return Promise.reject(err);
+        });
+    }
+
+    return this._flushPromise;
+  }
+
+  /**
+   * Removes all queued requests, pending promises of requests queued in this session reject with a {@link RequestCancelledException}
+   * @method clearQueue
+   * @instance
+   * @memberof Connection
+   * @returns {Promise} Resolves with the removed entries
+   * @example
+   * connection.clearQueue()
+   *   .then(...);
+   */
+  clearQueue() {
+    if (!this.offlineQueue) {
+      return Promise.resolve([]);
+    }
+
+    return this.offlineQueue.clear()
+      .then((entries) => {
+        _.each(entries, (entry) => {
+          if (this._queuedRequests[entry.id]) {
+            this._queuedRequests[entry.id].reject(new RequestCancelledException('queued request cleared'));
+            delete this._queuedRequests[entry.id];
+          }
+        });
+
+        return entries;
+      });
+  }
+
   /**
    * Subscribe to a server event
    * @param event {String} Event to subscribe to
@@ -461,13 +885,14 @@ class Connection {
    *   .then(...);
    */
   subscribe(event, cb) {
-    return this.adapter.subscribe(event, cb);
+    return this.adapter.subscribe(event, cb, this.options.url);
   }
 
   /**
-   * Remove all subscriptions from an event
+   * Remove all subscriptions from an event, or only the one for the callback provided
    *
    * @param event {String} Event to unsubscribe from
+   * @param cb {Function} (optional) Function that was passed into {@link Connection#subscribe}
    *
    * @method unsubscribe
    * @instance
@@ -477,8 +902,8 @@ class Connection {
    * connection.unsubscribe('event')
    *   .then(...);
    */
-  unsubscribe(event) {
-    return this.adapter.unsubscribe(event);
+  unsubscribe(event, cb) {
+    return this.adapter.unsubscribe(event, cb, this.options.url);
   }
 
   /**
@@ -487,47 +912,177 @@ class Connection {
    * @memberof Connection
    * @method request
    * @param request {Request} The {@link Request} to execute
-   * @param data {*} Data to send with this {@link Request}
-   * @returns {Promise}
+   * @param data {*} Data to send with this {@link Request}, a single object that is used to fill the path variables and is sent as body or,
+   * when the {@link Request} or the call has structured set to true, the structured form: an object containing (some of)
+   * params (path variables), query (querystring), body and headers
+   * @param options {Object} (optional) Options for this call
+   * @param options.structured {Boolean} Whether the data is in the structured form, overrides the structured option of the {@link Request}
+   * @param options.headers {Object} Headers for this call, headers of the {@link Connection} are overridden by those of the {@link Request},
+   * which are overridden by these (and the headers in the structured form of the data)
+   * @param options.timeout {Number} Timeout in milliseconds, overrides the timeout of the {@link Request} and {@link Connection}
+   * @param options.cancellation {CancellationToken|AbortSignal} Token or signal that cancels the request
+   * @param options.onProgress {Function} Called with {loaded, total} while downloading the response,
+   * for uploads with {loaded, total, files: [{name, loaded, total}]} while uploading
+   * @param options.fullResponse {Boolean} Resolve with the {@link Response} instead of its body
+   * @param options.auth {Boolean} Set to false to send the request without the credentials of the {@link Authenticator}, overrides the auth option of the {@link Request},
+   * requests sent by the refresh function of the {@link Authenticator} using this {@link Connection} need it, they would wait for the refresh they are part of otherwise
+   * @param options.chunkSize {Number} (uploads) Uploads files in chunks of this amount of bytes, overrides the chunkSize of the {@link Request}
+   * @returns {Promise} Resolves with the body of the {@link Response}, rejects with a {@link RequestFailedException} when the request failed
+   * (a NetworkException, NotFoundException, ServerErrorException and so on, see communicator.exceptions),
+   * a {@link RequestTimeoutException} or {@link RequestCancelledException} when timed out or cancelled, has a cancel method to cancel the request.
+   * The resolve method of the request is called with the body, the data and the {@link Response}
+   * When the request is deduplicated (see the dedupe option of {@link Request} and {@link Connection}) and an execution with equal data and options
+   * (headers, timeout, fullResponse, structured and auth) is in flight, the call shares the result of that execution.
+   * Cancelling the call only rejects its own promise, the execution is cancelled once every call sharing it has been cancelled.
+   * Calls with an onProgress callback aren't deduplicated
    * @see {@link Request}
    * @example
    * connection.request(request, data)
    *   .then(...)
+   *
+   * const promise = connection.request(request, data, {timeout: 5000});
+   * promise.cancel();
    */
-  request(request = {}, data = {}) {
+  request(request = {}, data = {}, options = {}) {
     Request.validateImplementation(request, true);
+    Request.validateCapabilities(request.options || request, adapters[this.options.adapter]);
+
+    if (this.offlineQueue && this._connectAttempted && !this.connected && this.offlineQueue.accepts(request)) {
+      return this._queueRequest(request, data, options);
+    }
+
+    const dedupeKey = this._getDedupeKey(request, data, options);
+
+    if (dedupeKey) {
+      return this._executeShared(dedupeKey, request, data, options);
+    }
+
+    return this._execute(request, data, options);
+  }
+
+  /***************
+   * PRIVATE API *
+   ***************/
+
+  static get _type() {
+    return 'Connection';
+  }
+
+  /**
+   * Executes a request, resolves with the (resolved) body or {@link Response}, the promise has a cancel method
+   * @private
+   */
+  _execute(request, data, options) {
+    const _request = this._prepareRequest(request, data, options);
+    const cancellation = _request.cancellation;
 
-    const _request = this._prepareRequest(request, data);
+    const handleResolve = (response) => {
+      const result = typeof request.resolve === 'function' ? request.resolve(response.body, data, response) : response.body;
 
-    const handleResolve = (_data) => {
-      if (typeof request.resolve === 'function') {
-        return request.resolve(_data, data);
-      } else {
-        return _data;
+      if (!options.fullResponse) {
+        return result;
       }
+
+      return Promise.resolve(result)
+        .then((body) => {
+          response.body = body;
+          return response;
+        });
     };
 
     const handleReject = (_data) => {
       if (typeof request.reject === 'function') {
         return request.reject(_data, data);
       }
+
+      // anonymous requests have no reject method, keep failing so callers can catch the exception
+      return Promise.reject(_data);
     };
 
-    if (request.upload) {
-      return this.adapter.upload(_request)
-        .then(handleResolve, handleReject);
-    } else {
-      return this.adapter.request(_request)
-        .then(handleResolve, handleReject);
+    let timeout = null;
+
+    if (_request.timeout) {
+      timeout = setTimeout(() => {
+        cancellation.cancel(new RequestTimeoutException(`request to ${_request.url} timed out after ${_request.timeout}ms`, _request));
+      }, _request.timeout);
     }
+
+    const promise = Promise.race([this._executeConditionally(request, data, options, _request), cancellation.promise])
+      .then((response) => {
+        clearTimeout(timeout);
+
+        // caches related to this request are outdated now, invalidate them before anyone can read them again
+        if (request.invalidates) {
+          return RequestCache.invalidateTags(request.invalidates)
+            .then(() => {
+              return handleResolve(response);
+            });
+        }
+
+        return handleResolve(response);
+      }, (_data) => {
+        clearTimeout(timeout);
+        return handleReject(_data);
+      });
+
+    promise.cancel = (reason) => {
+      cancellation.cancel(reason);
+    };
+
+    return promise;
   }
 
-  /***************
-   * PRIVATE API *
-   ***************/
+  /**
+   * Executes a request that is shared by the calls with the same dedupe key while it is in flight,
+   * every call gets a promise of its own and the execution is only cancelled when every call sharing it has been cancelled
+   * @private
+   */
+  _executeShared(dedupeKey, request, data, options) {
+    let shared = this._inFlight[dedupeKey];
+
+    if (!shared) {
+      const cancellation = new CancellationToken();
+
+      shared = {
+        promise: this._execute(request, data, _.extend({}, options, {cancellation})),
+        cancellation,
+        callers: 0
+      };
+
+      const release = () => {
+        if (this._inFlight[dedupeKey] === shared) {
+          delete this._inFlight[dedupeKey];
+        }
+      };
+
+      this._inFlight[dedupeKey] = shared;
+      shared.promise.then(release, release);
+    }
 
-  static get _type() {
-    return 'Connection';
+    const cancellation = CancellationToken.from(options.cancellation);
+
+    shared.callers++;
+
+    cancellation.onCancel((reason) => {
+      if (--shared.callers) {
+        return;
+      }
+
+      // nobody is waiting for it anymore, calls made from now on execute it again
+      if (this._inFlight[dedupeKey] === shared) {
+        delete this._inFlight[dedupeKey];
+      }
+
+      shared.cancellation.cancel(reason);
+    });
+
+    const promise = Promise.race([shared.promise, cancellation.promise]);
+
+    promise.cancel = (reason) => {
+      cancellation.cancel(reason);
+    };
+
+    return promise;
   }
 
   _register(options = {}) {
@@ -550,6 +1105,59 @@ class Connection {
     }
   }
 
+  /**
+   * Gets the key requests are deduplicated by, null when the request shouldn't be deduplicated.
+   * The dedupe option of the request wins, the one of this {@link Connection} only applies to GET, HEAD and OPTIONS requests
+   * @param request {Request|Object}
+   * @param data {*}
+   * @param options {Object}
+   * @returns {String|null}
+   * @private
+   */
+  _getDedupeKey(request = {}, data, options = {}) {
+    const dedupe = typeof request.dedupe === 'boolean' ? request.dedupe : !!this.options.dedupe && ['GET', 'HEAD', 'OPTIONS'].indexOf(request.method.toUpperCase()) !== -1;
+
+    // files can't be serialized and progress can only be reported to one call
+    if (!dedupe || request.upload || typeof options.onProgress === 'function') {
+      return null;
+    }
+
+    const name = request.options && request.options.name ? request.options.name : `${request.method.toUpperCase()} ${request.route}`;
+
+    return `${name} ${serialize(pickSerializableOptions(options))} ${serialize(data)}`;
+  }
+
+  /**
+   * Splits the data passed into {@link Connection#request} into params, query, body and headers,
+   * only data in the structured form (opted into by the request or the call) is split up
+   * @param request {Request|Object}
+   * @param data {*}
+   * @param options {Object}
+   * @returns {{params, query, body, headers}}
+   * @private
+   */
+  _normalizeInput(request = {}, data = {}, options = {}) {
+    const structured = typeof options.structured === 'boolean' ? options.structured : request.structured === true;
+
+    if (structured) {
+      const input = data || {};
+
+      return {
+        params: input.params || {},
+        query: input.query || {},
+        body: input.body,
+        headers: input.headers || {}
+      };
+    }
+
+    return {
+      params: data,
+      query: {},
+      body: data,
+      headers: {}
+    };
+  }
+
   /**
    *
    * @param request
@@ -557,40 +1165,408 @@ class Connection {
    * @returns {{}}
    * @private
    */
-  _prepareRequest(request = {}, data = {}) {
+  _prepareRequest(request = {}, data = {}, options = {}) {
     const _request = {};
     
     request.fillRouteWithPathVariables = request.fillRouteWithPathVariables || routeUtil.makePathVariableInjector(request.route);
 
-    const filledUrl = request.fillRouteWithPathVariables(data);
+    const input = this._normalizeInput(request, data, options);
+    const filledUrl = request.fillRouteWithPathVariables(input.params);
 
     _request.url = routeUtil.concatenateUrls(this.options.url, filledUrl);
-    _request.method = request.method;
-    _request.data = data;
+    _request.method = request.method.toUpperCase();
+    _request.params = input.params;
+    _request.query = input.query;
+    _request.body = input.body;
+    _request.data = input.body;
+    _request.headers = _.extend(
+      {},
+      resolveHeaders(this.options.headers, data),
+      resolveHeaders(request.headers, data),
+      options.headers,
+      input.headers
+    );
+    _request.timeout = _.find([options.timeout, request.timeout, this.options.timeout], _.isNumber) || 0;
+    _request.cancellation = CancellationToken.from(options.cancellation);
+    _request.auth = _.find([options.auth, request.auth], _.isBoolean) !== false;
+
+    _request.onProgress = options.onProgress;
+    _request.responseType = request.responseType || (request.download ? 'blob' : undefined);
+
+    if (request.upload) {
+      const uploadOptions = _.isPlainObject(request.upload) ? request.upload : {};
+
+      _request.chunkSize = options.chunkSize || uploadOptions.chunkSize || 0;
+      _request.chunkRetries = uploadOptions.chunkRetries;
+      _request.chunkRetryDelay = uploadOptions.chunkRetryDelay;
+    }
 
     _request.request = request;
 
     return _request;
   }
 
-   _establishNewConnection() {
-    this._state = CONNECTION_STATE.CONNECTING;
+  _establishNewConnection(attempt = 0) {
+    const generation = this._connectGeneration;
+    const cancelled = () => {
+      return Promise.reject(new Error('connect cancelled'));
+    };
+
+    this._state = attempt ? CONNECTION_STATE.RECONNECTING : CONNECTION_STATE.CONNECTING;
+    this._connectAttempted = true;
 
-    return this.adapter.connect(this.options.url)
+    return this.adapter.connect(this.options.url, this._adapterEmitter)
       .then(() => {
+        if (generation !== this._connectGeneration) {
+          return cancelled();
+        }
+
         this._state = CONNECTION_STATE.CONNECTED;
         this.trigger('connect');
 
+        if (attempt) {
+          this.trigger('reconnect', {attempt});
+        }
+
         return Promise.resolve();
       },
-      () => {
+      (err) => {
+        if (generation !== this._connectGeneration) {
+          return cancelled();
+        }
+
+        if (this._reconnectOptions && attempt < this._reconnectOptions.attempts) {
+          return this._reconnect(attempt + 1);
+        }
+
         this._state = CONNECTION_STATE.DISCONNECTED;
-        this.trigger('connectionFail');
+        this.trigger('connectionFail', err);
+
+        return Promise.reject(err);
+      });
+  }
+
+  /**
+   * Executes a prepared request, for {@link Request}s with a conditional {@link RequestCache} it sends the validators remembered for the data
+   * (If-None-Match and If-Modified-Since) and resolves a 304 with the remembered body
+   * @private
+   */
+  _executeConditionally(request, data, options, _request) {
+    const cache = request.cache;
+
+    if (!cache || !cache.constructor || cache.constructor._type !== 'RequestCache' || !cache.appliesConditionallyTo(_request.method)) {
+      return this._executeWithRetry(_request);
+    }
+
+    const scope = cache.getScope(this, options);
+    let validator = null;
+
+    return cache.getValidator(data, scope)
+      .then((_validator) => {
+        validator = _validator;
+
+        if (validator && validator.etag) {
+          _request.headers['If-None-Match'] = validator.etag;
+        }
+
+        if (validator && validator.lastModified) {
+          _request.headers['If-Modified-Since'] = validator.lastModified;
+        }
+
+        return this._executeWithRetry(_request, validator);
+      })
+      .then((response) => {
+        if (response.status === 304 && validator) {
+          return response;
+        }
+
+        // the response is valid, whether its validators can be stored or not
+        return cache.setValidator(data, response, scope)
+          .then(() => {
+            return response;
+          }, () => {
+            return response;
+          });
+      });
+  }
+
+  /**
+   * Executes a prepared request, retrying it when the {@link Request} has a retry policy,
+   * every attempt starts from a copy of the prepared request so interceptors don't see their own changes
+   * @private
+   */
+  _executeWithRetry(_request, remembered) {
+    const request = _request.request;
+
+    if (!request.retry) {
+      return this._executeRequest(_request, remembered);
+    }
+
+    const attempt = () => {
+      return this._executeRequest(_.extend({}, _request, {
+        headers: _.clone(_request.headers)
+      }), remembered);
+    };
+
+    return RetryPolicy.from(request.retry).execute(attempt, _request, _request.cancellation);
+  }
+
+  /**
+   * Runs a prepared request through the interceptors and the {@link Adapter}
+   * @param _request {Object} Request built by {@link Connection#_prepareRequest}
+   * @param remembered {Object} (optional) What a conditional {@link RequestCache} remembered for the request, a 304 resolves with its body
+   * @returns {Promise}
+   * @private
+   */
+  _executeRequest(_request, remembered) {
+    const interceptors = globalInterceptors.concat(this._interceptors);
+    const respond = (value) => {
+      return new InterceptedResponse(value);
+    };
+
+    const requestPromise = _.reduce(interceptors, (promise, interceptor) => {
+      return promise.then((result) => {
+        if (result instanceof InterceptedResponse || typeof interceptor.request !== 'function') {
+          return result;
+        }
+
+        return interceptor.request(result, respond);
+      });
+    }, Promise.resolve(_request));
+
+    const transportPromise = requestPromise
+      .then((result) => {
+        if (result instanceof InterceptedResponse) {
+          return Response.from(result.value, _request);
+        }
+
+        _request = result;
+
+        return this._sendToAdapter(_request);
+      })
+      .then((response) => {
+        if (remembered && response.status === 304) {
+          response.body = remembered.body;
+          return new RememberedResponse(response);
+        }
+
+        return response;
+      });
+
+    // response and error hooks work with the body, the Response itself is passed along
+    return _.reduceRight(interceptors, (promise, interceptor) => {
+      return promise.then((response) => {
+        if (response instanceof RememberedResponse || typeof interceptor.response !== 'function') {
+          return response;
+        }
+
+        return Promise.resolve(interceptor.response(response.body, _request, response))
+          .then((body) => {
+            response.body = body;
+            return response;
+          });
+      }, (err) => {
+        if (typeof interceptor.error !== 'function') {
+          return Promise.reject(err);
+        }
+
+        return Promise.resolve(interceptor.error(err, _request))
+          .then((body) => {
+            return Response.from(body, _request);
+          });
+      });
+    }, transportPromise)
+      .then((response) => {
+        return response instanceof RememberedResponse ? response.response : response;
+      });
+  }
+
+  _sendToAdapter(_request) {
+    // normalizes what the Adapter produced, so everything around it can rely on Responses and RequestFailedExceptions
+    const transport = (request) => {
+      const start = new Date().getTime();
+      const duration = () => {
+        return new Date().getTime() - start;
+      };
+
+      return Promise.resolve(request.request.upload ? this.adapter.upload(request) : this.adapter.request(request))
+        .then((result) => {
+          return Response.from(result, request, duration());
+        }, (err) => {
+          return Promise.reject(Response.failure(err, request, duration()));
+        });
+    };
+    const send = this.csrf ? (request) => {
+      return this.csrf.execute(request, transport);
+    } : transport;
+
+    return this.auth && _request.auth ? this.auth.execute(_request, send) : send(_request);
+  }
+
+  _queueRequest(request, data, options = {}) {
+    const cancellation = CancellationToken.from(options.cancellation);
+
+    const promise = this.offlineQueue.enqueue(request, data, pickSerializableOptions(options))
+      .then((entry) => {
+        this.trigger('queued', entry);
+
+        return new Promise((resolve, reject) => {
+          this._queuedRequests[entry.id] = {resolve, reject, cancellation};
+
+          // cancelling a request that hasn't been replayed yet removes it from the queue,
+          // once it is being replayed the cancellation is passed on to the replay
+          cancellation.onCancel((reason) => {
+            if (!this._queuedRequests[entry.id]) {
+              return;
+            }
+
+            delete this._queuedRequests[entry.id];
+
+            this.offlineQueue.remove(entry.id)
+              .then(() => {
+                reject(reason);
+              }, () => {
+                reject(reason);
+              });
+          });
+        });
+      });
+
+    promise.cancel = (reason) => {
+      cancellation.cancel(reason);
+    };
 
-        return Promise.reject();
+    return promise;
+  }
+
+  _replay(entry) {
+    const request = (entry.request && requests[entry.request]) || {
+        method: entry.method,
+        route: entry.route
+      };
+    const queuedRequest = this._queuedRequests[entry.id];
+
+    delete this._queuedRequests[entry.id];
+
+    const settle = (result, error) => {
+      return this.offlineQueue.remove(entry.id)
+        .then(() => {
+          this.trigger('replayed', {entry, result, error});
+
+          if (queuedRequest) {
+            if (error) {
+              queuedRequest.reject(error);
+            } else {
+              queuedRequest.resolve(result);
+            }
+          }
+        });
+    };
+
+    const options = _.extend({}, entry.options, {
+      cancellation: queuedRequest ? queuedRequest.cancellation : undefined
+    });
+
+    return this.request(request, entry.data, options)
+      .then((result) => {
+        return settle(result, null);
+      }, (error) => {
+        return settle(undefined, error || new Error('replay failed'));
+      });
+  }
+
+  _listenToAdapter() {
+    this._adapterEmitter.on('disconnected', (reason) => {
+      if (!this.connected) {
+        return;
+      }
+
+      this._state = CONNECTION_STATE.DISCONNECTED;
+      this.trigger('disconnect', reason);
+
+      if (this._reconnectOptions) {
+        this._reconnect()
+          .catch(() => {
+            // connectionFail has been triggered already
+          });
+      }
+    });
+
+    this._adapterEmitter.on('error', (err) => {
+      // EventEmitters throw on 'error' events nobody listens to
+      if (this._emitter.listeners('error').length) {
+        this.trigger('error', err);
+      }
+    });
+
+    this._adapterEmitter.on('message', (data) => {
+      this.trigger('message', data);
+    });
+  }
+
+  _normalizeReconnectOptions(reconnect) {
+    if (!reconnect) {
+      return null;
+    }
+
+    if (typeof reconnect === 'number') {
+      reconnect = {attempts: reconnect};
+    }
+
+    return _.defaults({}, reconnect === true ? {} : reconnect, defaultReconnectOptions);
+  }
+
+  /**
+   * Calculates the delay before a reconnect attempt, grows exponentially with the attempt,
+   * is capped at maxDelay and randomized (by up to jitter * delay) so clients don't reconnect in lockstep.
+   * @private
+   */
+  _getReconnectDelay(attempt) {
+    const options = this._reconnectOptions;
+    const delay = Math.min(options.maxDelay, options.delay * Math.pow(options.factor, attempt - 1));
+
+    return Math.round(delay - delay * options.jitter * Math.random());
+  }
+
+  _reconnect(attempt = 1) {
+    const delay = this._getReconnectDelay(attempt);
+
+    this._state = CONNECTION_STATE.RECONNECTING;
+    this.trigger('reconnecting', {attempt, delay});
+
+    return new Promise((resolve, reject) => {
+      this._pendingReconnect = {
+        timeout: setTimeout(resolve, delay),
+        reject
+      };
+    })
+      .then(() => {
+        this._pendingReconnect = null;
+        return this._establishNewConnection(attempt);
       });
   }
 
+  _cancelReconnect() {
+    const pendingReconnect = this._pendingReconnect;
+    const running = !pendingReconnect && (this.connecting || this.reconnecting);
+
+    this._connectGeneration++;
+
+    if (pendingReconnect) {
+      this._pendingReconnect = null;
+      clearTimeout(pendingReconnect.timeout);
+
+      this._state = CONNECTION_STATE.DISCONNECTED;
+      this.trigger('connectionFail', new Error('reconnect cancelled'));
+
+      pendingReconnect.reject(new Error('reconnect cancelled'));
+    } else if (running) {
+      // the attempt rejects once the Adapter is done, whoever waits for the connect event shouldn't wait for it
+      this._state = CONNECTION_STATE.DISCONNECTED;
+      this.trigger('connectionFail', new Error('connect cancelled'));
+    }
+  }
+
 }
 
 export default Connection;
\ No newline at end of file
@@ -0,0 +1,237 @@
+import _ from 'lodash';
+
+import ConnectionInvalidPropertyException from '../exceptions/ConnectionInvalidPropertyException';
+
+const defaults = {
+  route: '/csrfToken',
+  property: '_csrf',
+  header: 'X-CSRF-Token',
+  field: '_csrf',
+  methods: ['POST', 'PUT', 'PATCH', 'DELETE']
+};
+
+// whether a rejection is a 403 that mentions the CSRF token in its status text, body or headers (Sails responds with 'CSRF mismatch'),
+// other 403s mean the user isn't allowed to do what the request asks
+function isCsrfFailure(err) {
+  if (!err || err.status !== 403) {
+    return false;
+  }
+
+  const response = err.response || err;
+  const text = _.map([response.statusText, response.body, response.responseText, response.headers], (part) => {
+    return typeof part === 'string' ? part : JSON.stringify(part) || '';
+  }).join(' ');
+
+  return /csrf/i.test(text);
+}
+
+/**
+ * A {@link CsrfProtection} fetches a CSRF token from the server (Sails style, GET /csrfToken responding with {_csrf: token}),
+ * caches it and injects it into the mutating requests and uploads of a {@link Connection}.
+ * When the server rejects the token (a 403 mentioning CSRF) the token is fetched again and the request is replayed once.
+ * Instantiated by the {@link Connection} when a csrf property is provided in its options.
+ *
+ * @property route {String} Route the token is fetched from, relative to the url of the {@link Connection}, defaults to '/csrfToken'
+ * @property property {String} Property of the response containing the token, defaults to '_csrf'
+ * @property header {String} Header the token is sent in, defaults to 'X-CSRF-Token'
+ * @property field {String} Field of the multipart form the token is sent in with uploads, defaults to '_csrf'
+ * @property methods {Array<String>} Methods of the requests to inject the token into, defaults to POST, PUT, PATCH and DELETE
+ * @property isForbidden {Function} (optional) Function that takes the rejection of the {@link Adapter} and returns whether the token was rejected,
+ * defaults to checking for a status of 403 with a status text, body or header that mentions CSRF
+ *
+ * @param options {Boolean|Object} true for the defaults or an object containing the properties
+ * @param fetchToken {Function} Function that takes the route and executes a GET request for it, should return a Promise
+ *
+ * @class CsrfProtection
+ * @see {@link Connection}
+ *
+ * @global
+ * @example
+ * const connection = new Connection({
+ *   name: 'sails',
+ *   url: 'http://localhost:1337',
+ *   adapter: 'XHR',
+ *   csrf: true
+ * });
+ */
+class CsrfProtection {
+
+  constructor(options = {}, fetchToken) {
+    CsrfProtection.validateImplementation(options);
+
+    this.options = _.defaults({}, options === true ? {} : options, defaults);
+    this.options.methods = _.map(this.options.methods, (method) => {
+      return method.toUpperCase();
+    });
+
+    this.token = null;
+
+    this._fetchToken = fetchToken;
+    this._tokenPromise = null;
+  }
+
+  /**************
+   * PUBLIC API *
+   **************/
+
+  /**
+   * Validates the csrf option of a {@link Connection}, throws an Error when a validation error occurs.
+   * @static
+   * @method validateImplementation
+   * @memberof CsrfProtection
+   * @param options {Boolean|Object} The implementation to validate
+   * @throws Error
+   */
+  static validateImplementation(options) {
+    if (options === true) {
+      return;
+    }
+
+    if (!options || typeof options !== 'object') {
+      throw new ConnectionInvalidPropertyException('csrf must be true or an object');
+    }
+
+    _.each(['route', 'property', 'header', 'field'], (key) => {
+      if (typeof options[key] !== 'undefined' && typeof options[key] !== 'string') {
+        throw new ConnectionInvalidPropertyException(`csrf.${key} must be a string`);
+      }
+    });
+
+    if (typeof options.methods !== 'undefined' && !Array.isArray(options.methods)) {
+      throw new ConnectionInvalidPropertyException('csrf.methods must be an array');
+    }
+  }
+
+  /**
+   * Whether the token should be sent with a request
+   * @instance
+   * @memberof CsrfProtection
+   * @method appliesTo
+   * @param request {Object} The request built for the {@link Adapter}
+   * @returns {Boolean}
+   */
+  appliesTo(request) {
+    return this.options.methods.indexOf(request.method.toUpperCase()) !== -1;
+  }
+
+  /**
+   * Gets the cached token or fetches it, concurrent calls share the same fetch
+   * @instance
+   * @memberof CsrfProtection
+   * @method getToken
+   * @returns {Promise}
+   */
+  getToken() {
+    if (this.token) {
+      return Promise.resolve(this.token);
+    }
+
+    if (!this._tokenPromise) {
+      this._tokenPromise = Promise.resolve(this._fetchToken(this.options.route))
+        .then((response) => {
+          this.token = response ? response[this.options.property] : null;
+          this._tokenPromise = null;
+
+          return this.token;
+        }, (err) => {
+          this._tokenPromise = null;
+
+          return Promise.reject(err);
+        });
+    }
+
+    return this._tokenPromise;
+  }
+
+  /**
+   * Forgets the cached token, the next request fetches a new one
+   * @instance
+   * @memberof CsrfProtection
+   * @method invalidate
+   */
+  invalidate() {
+    this.token = null;
+  }
+
+  /**
+   * Whether a rejection of the {@link Adapter} means the token was rejected
+   * @instance
+   * @memberof CsrfProtection
+   * @method isForbidden
+   * @param err {*} The rejection of the {@link Adapter}
+   * @returns {Boolean}
+   */
+  isForbidden(err) {
+    if (typeof this.options.isForbidden === 'function') {
+      return !!this.options.isForbidden(err);
+    }
+
+    return isCsrfFailure(err);
+  }
+
+  /**
+   * Adds the token to a request, in the header and, for uploads, in the form data
+   * @instance
+   * @memberof CsrfProtection
+   * @method inject
+   * @param request {Object} The request built for the {@link Adapter}
+   * @returns {Promise}
+   */
+  inject(request) {
+    return this.getToken()
+      .then((token) => {
+        request.headers = request.headers || {};
+        request.headers[this.options.header] = token;
+
+        if (request.request.upload && _.isPlainObject(request.data)) {
+          request.data = _.extend({}, request.data, {
+            [this.options.field]: token
+          });
+        }
+
+        return request;
+      });
+  }
+
+  /**
+   * Sends a request with the token, when the token is rejected a new one is fetched and the request is replayed once.
+   * @instance
+   * @memberof CsrfProtection
+   * @method execute
+   * @param request {Object} The request built for the {@link Adapter}
+   * @param send {Function} Function that sends the request using the {@link Adapter}, should return a Promise
+   * @returns {Promise}
+   */
+  execute(request, send) {
+    if (!this.appliesTo(request)) {
+      return send(request);
+    }
+
+    let sentToken = null;
+
+    const injectAndSend = () => {
+      return this.inject(request)
+        .then((_request) => {
+          sentToken = _request.headers[this.options.header];
+          return send(_request);
+        });
+    };
+
+    return injectAndSend()
+      .catch((err) => {
+        if (!this.isForbidden(err)) {
+          return Promise.reject(err);
+        }
+
+        // another request may have fetched a new token already
+        if (this.token === sentToken) {
+          this.invalidate();
+        }
+
+        return injectAndSend();
+      });
+  }
+
+}
+
+export default CsrfProtection;
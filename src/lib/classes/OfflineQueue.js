@@ -0,0 +1,206 @@
+import _ from 'lodash';
+
+import storages from '../singletons/storages';
+
+import ConnectionInvalidPropertyException from '../exceptions/ConnectionInvalidPropertyException';
+
+const defaults = {
+  storage: 'memory',
+  methods: ['POST', 'PUT', 'PATCH', 'DELETE']
+};
+
+let lastId = 0;
+
+/**
+ * An {@link OfflineQueue} stores the mutating requests a {@link Connection} executes while it is not connected,
+ * so they can be replayed once it connects. Instantiated by the {@link Connection} when an offline property is provided in its options.
+ * Entries are plain objects (id, request, method, route, data, options and time) so they can be persisted,
+ * options being the options of the call that can be persisted (headers, timeout, fullResponse, structured and auth).
+ *
+ * @property storage {String|Object} 'memory' (default), 'localStorage', 'sessionStorage', 'indexedDB' or an object implementing getItem, setItem and removeItem, returning Promises
+ * @property methods {Array<String>} Methods of the requests to queue, defaults to POST, PUT, PATCH and DELETE
+ * @property key {String} Key the queue is stored under, defaults to 'frntnd-communicator:queue:' followed by the name of the {@link Connection}
+ *
+ * @param options {Boolean|Object} true for the defaults or an object containing the properties
+ * @param connectionName {String} Name of the {@link Connection} the queue belongs to
+ *
+ * @class OfflineQueue
+ * @see {@link Connection}
+ *
+ * @global
+ */
+class OfflineQueue {
+
+  constructor(options = {}, connectionName = '') {
+    OfflineQueue.validateImplementation(options);
+
+    this.options = _.defaults({}, options === true ? {} : options, defaults, {
+      key: `frntnd-communicator:queue:${connectionName}`
+    });
+
+    this.options.methods = _.map(this.options.methods, (method) => {
+      return method.toUpperCase();
+    });
+
+    this.storage = typeof this.options.storage === 'string' ? storages[this.options.storage] : this.options.storage;
+
+    // serializes access to the storage so entries don't get lost between loading and saving
+    this._lock = Promise.resolve();
+  }
+
+  /**************
+   * PUBLIC API *
+   **************/
+
+  /**
+   * Validates the offline option of a {@link Connection}, throws an Error when a validation error occurs.
+   * @static
+   * @method validateImplementation
+   * @memberof OfflineQueue
+   * @param options {Boolean|Object} The implementation to validate
+   * @throws Error
+   */
+  static validateImplementation(options) {
+    if (options === true) {
+      return;
+    }
+
+    if (!options || typeof options !== 'object') {
+      throw new ConnectionInvalidPropertyException('offline must be true or an object');
+    }
+
+    if (typeof options.storage === 'string' && !storages[options.storage]) {
+      throw new ConnectionInvalidPropertyException(`offline storage '${options.storage}' doesn't exist, use one of: ${_.keys(storages).join(', ')}`);
+    }
+
+    if (typeof options.storage === 'object' && !_.every(['getItem', 'setItem', 'removeItem'], (method) => {
+        return typeof options.storage[method] === 'function';
+      })) {
+      throw new ConnectionInvalidPropertyException('offline storage must implement getItem, setItem and removeItem');
+    }
+
+    if (typeof options.methods !== 'undefined' && !Array.isArray(options.methods)) {
+      throw new ConnectionInvalidPropertyException('offline methods must be an array');
+    }
+  }
+
+  /**
+   * Whether a request should be queued when offline
+   * @instance
+   * @memberof OfflineQueue
+   * @method accepts
+   * @param request {Request|Object}
+   * @returns {Boolean}
+   */
+  accepts(request = {}) {
+    // files can't be persisted
+    return !request.upload && this.options.methods.indexOf(request.method.toUpperCase()) !== -1;
+  }
+
+  /**
+   * Adds a request to the queue
+   * @instance
+   * @memberof OfflineQueue
+   * @method enqueue
+   * @param request {Request|Object} The request
+   * @param data {*} The data the request is executed with
+   * @param options {Object} (optional) The options of the call that can be persisted
+   * @returns {Promise} Resolves with the entry
+   */
+  enqueue(request, data, options = {}) {
+    const entry = {
+      id: `${new Date().getTime()}-${++lastId}`,
+      request: request.constructor && request.constructor._type === 'Request' ? request.options.name : null,
+      method: request.method.toUpperCase(),
+      route: request.route,
+      data,
+      options,
+      time: new Date().getTime()
+    };
+
+    return this._update((entries) => {
+        entries.push(entry);
+        return entries;
+      })
+      .then(() => {
+        return entry;
+      });
+  }
+
+  /**
+   * Gets all entries in the queue, oldest first
+   * @instance
+   * @memberof OfflineQueue
+   * @method getAll
+   * @returns {Promise}
+   */
+  getAll() {
+    return this._synchronize(() => {
+      return this._load();
+    });
+  }
+
+  /**
+   * Removes an entry from the queue
+   * @instance
+   * @memberof OfflineQueue
+   * @method remove
+   * @param id {String} Id of the entry
+   * @returns {Promise}
+   */
+  remove(id) {
+    return this._update((entries) => {
+      return _.reject(entries, {id});
+    });
+  }
+
+  /**
+   * Removes all entries from the queue
+   * @instance
+   * @memberof OfflineQueue
+   * @method clear
+   * @returns {Promise} Resolves with the removed entries
+   */
+  clear() {
+    return this._synchronize(() => {
+      return this._load()
+        .then((entries) => {
+          return this.storage.removeItem(this.options.key)
+            .then(() => {
+              return entries;
+            });
+        });
+    });
+  }
+
+  /***************
+   * PRIVATE API *
+   ***************/
+
+  _load() {
+    return this.storage.getItem(this.options.key)
+      .then((entries) => {
+        return (entries || []).slice();
+      });
+  }
+
+  _update(fn) {
+    return this._synchronize(() => {
+      return this._load()
+        .then((entries) => {
+          return this.storage.setItem(this.options.key, fn(entries));
+        });
+    });
+  }
+
+  _synchronize(fn) {
+    const promise = this._lock.then(fn);
+
+    this._lock = promise.catch(_.noop);
+
+    return promise;
+  }
+
+}
+
+export default OfflineQueue;
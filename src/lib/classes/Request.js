@@ -8,7 +8,12 @@ import requests from '../singletons/requests';
 
 import REQUEST_METHODS from '../enums/REQUEST_METHODS';
 
-import Cacher from 'frntnd-cacher';
+import CancellationToken from './CancellationToken';
+import RequestCache from './RequestCache';
+import Response from './Response';
+import RetryPolicy from './RetryPolicy';
+
+import validateHeaders from '../helpers/validateHeaders';
 
 import RequestInvalidPropertyException from '../exceptions/RequestInvalidPropertyException';
 import RequestMissingPropertyException from '../exceptions/RequestMissingPropertyException';
@@ -24,6 +29,22 @@ const EventEmitter = events.EventEmitter;
  * @property method {String} The method of this request, 'get' for example
  * @property connection {String} The connection this {@link Request} should use to execute
  * @property route {String} The route of the this request, relative to the url of the connection, '/user/:id' for example
+ * @property upload {Boolean|Object} (optional) Marks this request as an upload, may be an object containing chunkSize (upload files in chunks of this amount of bytes),
+ * chunkRetries (amount of times a failed chunk is retried, defaults to 3) and chunkRetryDelay (milliseconds to wait before the first retry of a chunk,
+ * doubled for every retry after it, defaults to 1000)
+ * @property responseType {"json"|"text"|"blob"|"arraybuffer"} (optional) The type of the response, determined by the {@link Adapter} when omitted
+ * @property download {Boolean} (optional) Shorthand for a responseType of 'blob', save the result using communicator.saveFile
+ * @property headers {Object|Function} (optional) Headers to send with this request, or a function that takes the data and returns them
+ * @property auth {Boolean} (optional) Set to false to send this request without the credentials of the {@link Authenticator} of the {@link Connection},
+ * for the request that refreshes them for example
+ * @property structured {Boolean} (optional) Set to true to execute this request with data in the structured form (params, query, body and headers), see {@link Connection#request}
+ * @property timeout {Number} (optional) Timeout in milliseconds, the request rejects with a {@link RequestTimeoutException} when it takes longer
+ * @property retry {Boolean|Number|Object} (optional) Retries the request when it fails before calling reject, containing the properties of a {@link RetryPolicy}
+ * @property cache {Boolean|Number|Object} (optional) Caches the results of this request by the data, Connection and options it is executed with, true to cache them for 5 seconds,
+ * the amount of milliseconds to cache them or an object containing the properties of a {@link RequestCache} (lifespan, key, tags, staleWhileRevalidate, conditional and storage)
+ * @property invalidates {String|Array<String>} (optional) Tags of the caches to invalidate when this request succeeds, see {@link RequestCache}
+ * @property dedupe {Boolean} (optional) Executing this request while an execution with equal data and options is still in flight shares the result of that execution
+ * instead of sending it again, overrides the dedupe option of the {@link Connection}
  * @property resolve {Function} When specified this method gets called when the request was successful
  * @property reject {Function} When specified this method gets called when the request was unsuccessful
  *
@@ -78,6 +99,16 @@ class Request {
     this.method = this.options.method.toUpperCase();
     this.route = this.options.route;
     this.connection = this.options.connection;
+    this.timeout = this.options.timeout;
+    this.structured = this.options.structured;
+    this.auth = this.options.auth;
+    this.headers = this.options.headers;
+    this.upload = this.options.upload;
+    this.download = this.options.download;
+    this.responseType = this.options.responseType;
+    this.dedupe = this.options.dedupe;
+    this.invalidates = this.options.invalidates;
+    this.retry = this.options.retry ? new RetryPolicy(this.options.retry) : null;
 
     this.resolve = this.options.resolve || this.resolve;
     this.reject = this.options.reject || this.reject;
@@ -93,7 +124,7 @@ class Request {
       'reject'
     );
 
-    this._initializeCacher();
+    this._initializeCache();
   }
 
   /**************
@@ -143,7 +174,7 @@ class Request {
       }
     }
 
-    // method - must be a string, capitalized it must match one of the REQUEST_METHODS: GET, POST, PUT or DELETE
+    // method - must be a string, capitalized it must match one of the REQUEST_METHODS: GET, POST, PUT, DELETE, PATCH, HEAD or OPTIONS
 
     if (options.method === null || typeof options.method === 'undefined') {
       throw new RequestMissingPropertyException('a method property is required');
@@ -167,6 +198,64 @@ class Request {
       throw new RequestInvalidPropertyException('route must be a string');
     }
 
+    // upload - can be omitted, must be a boolean or an object
+
+    if (typeof options.upload !== 'undefined' && options.upload !== null && ['boolean', 'object'].indexOf(typeof options.upload) === -1) {
+      throw new RequestInvalidPropertyException('upload must be a boolean or an object');
+    }
+
+    // responseType - can be omitted, must be one of json, text, blob or arraybuffer
+
+    if (typeof options.responseType !== 'undefined' && options.responseType !== null && ['json', 'text', 'blob', 'arraybuffer'].indexOf(options.responseType) === -1) {
+      throw new RequestInvalidPropertyException(`'${options.responseType}' is not a valid responseType.`);
+    }
+
+    // headers - can be omitted, must be an object or a function
+
+    validateHeaders(options.headers, RequestInvalidPropertyException);
+
+    // timeout - can be omitted, must be a number
+
+    if (typeof options.timeout !== 'undefined' && options.timeout !== null && typeof options.timeout !== 'number') {
+      throw new RequestInvalidPropertyException('timeout must be a number');
+    }
+
+    // cache - can be omitted, validated by the RequestCache
+
+    if (typeof options.cache !== 'undefined' && options.cache !== null && options.cache !== false) {
+      RequestCache.validateImplementation(options.cache);
+    }
+
+    // invalidates - can be omitted, must be a string or an array of strings
+
+    if (typeof options.invalidates !== 'undefined' && options.invalidates !== null && typeof options.invalidates !== 'string' && !Array.isArray(options.invalidates)) {
+      throw new RequestInvalidPropertyException('invalidates must be a string or an array');
+    }
+
+    // auth - can be omitted, must be a boolean
+
+    if (typeof options.auth !== 'undefined' && options.auth !== null && typeof options.auth !== 'boolean') {
+      throw new RequestInvalidPropertyException('auth must be a boolean');
+    }
+
+    // structured - can be omitted, must be a boolean
+
+    if (typeof options.structured !== 'undefined' && options.structured !== null && typeof options.structured !== 'boolean') {
+      throw new RequestInvalidPropertyException('structured must be a boolean');
+    }
+
+    // dedupe - can be omitted, must be a boolean
+
+    if (typeof options.dedupe !== 'undefined' && options.dedupe !== null && typeof options.dedupe !== 'boolean') {
+      throw new RequestInvalidPropertyException('dedupe must be a boolean');
+    }
+
+    // retry - can be omitted, validated by the RetryPolicy
+
+    if (typeof options.retry !== 'undefined' && options.retry !== null && options.retry !== false) {
+      RetryPolicy.validateImplementation(options.retry);
+    }
+
     // connection - can be omitted, but, if specified, must be specified as a Connection or a string,
     // if its a string, a Connection with that name must exist
 
@@ -186,6 +275,47 @@ class Request {
         throw new RequestInvalidPropertyException('connection must be specified as a string or as an instance of a Connection');
       }
 
+      // the Adapter of the connection must be able to execute this request
+      Request.validateCapabilities(options, adapters[connection.options.adapter]);
+    }
+  }
+
+  /**
+   * Gets the capabilities (see {@link ADAPTER_CAPABILITIES}) an {@link Adapter} needs to execute a {@link Request}
+   * @memberof Request
+   * @method getRequiredCapabilities
+   * @static
+   * @param options {Object} Object containing the implementation of a {@link Request}
+   * @returns {Array<String>}
+   */
+  static getRequiredCapabilities(options = {}) {
+    if (options.upload) {
+      return ['upload'];
+    }
+
+    if (options.download || options.responseType === 'blob' || options.responseType === 'arraybuffer') {
+      return ['request', 'binary'];
+    }
+
+    return ['request'];
+  }
+
+  /**
+   * Validates whether an {@link Adapter} has the capabilities a {@link Request} needs, throws an Error when it doesn't.
+   * Only applies to {@link Adapter}s that declare their capabilities.
+   *
+   * @memberof Request
+   * @method validateCapabilities
+   * @static
+   * @param options {Object} Object containing the implementation of a {@link Request}
+   * @param adapter {Adapter} The {@link Adapter} that would execute the {@link Request}
+   * @throws Error
+   */
+  static validateCapabilities(options = {}, adapter) {
+    const missing = adapter ? adapter.getMissingCapabilities(Request.getRequiredCapabilities(options)) : [];
+
+    if (missing.length) {
+      throw new RequestInvalidPropertyException(`adapter ${adapter.options.name} can't execute ${options.name ? `request '${options.name}'` : 'this request'}, it lacks the capabilities: ${missing.join(', ')}`);
     }
   }
 
@@ -198,19 +328,22 @@ class Request {
    * @method execute
    * @param data {Object} Data that has to be sent to the server, this data is also used to fill splats in the routes
    * @param connection {Connection} Connection with which to execute this {@link Request}, defaults to this.connection
+   * @param options {Object} (optional) Options for this call (timeout, cancellation), see {@link Connection#request}
    * @returns {Promise}
    * @example
    * request.execute({id: 3})
    *   .then(data => {
    *     console.log(data);
    *   });
+   *
+   * request.execute({id: 3}, undefined, {timeout: 1000});
    */
-  execute(data = {}, connection = this.connection) {
+  execute(data = {}, connection = this.connection, options = {}) {
     if (connection === null || !(connection && connection.constructor && connection.constructor._type === 'Connection')) {
       throw new RequestRuntimeException(`Can't execute request, no Connection provided in the arguments and none specified on the Request being executed.`);
     }
 
-    return connection.request(this, data);
+    return connection.request(this, data, options);
   }
 
   /**
@@ -249,6 +382,37 @@ class Request {
     return Promise.reject(data);
   }
 
+  /**
+   * Invalidates the cached result of this {@link Request} for data, or all of its cached results when no data is provided.
+   * Resolves right away when this {@link Request} isn't cached.
+   *
+   * @method invalidate
+   * @memberof Request
+   * @instance
+   * @param data {*} (optional) The data the {@link Request} was executed with
+   * @returns {Promise}
+   * @example
+   * request.invalidate({id: 3});
+   */
+  invalidate(data) {
+    return this.cache ? this.cache.invalidate(data) : Promise.resolve();
+  }
+
+  /**
+   * Invalidates the caches of all {@link Request}s that have one or more of the tags, see {@link RequestCache}
+   *
+   * @method invalidateTags
+   * @memberof Request
+   * @static
+   * @param tags {String|Array<String>}
+   * @returns {Promise}
+   * @example
+   * Request.invalidateTags('user');
+   */
+  static invalidateTags(tags) {
+    return RequestCache.invalidateTags(tags);
+  }
+
   /***************
    * PRIVATE API *
    ***************/
@@ -267,14 +431,33 @@ class Request {
     return requests[options.name];
   }
 
-  _initializeCacher() {
+  _initializeCache() {
     if (this.options.cache) {
-      this.cache = new Cacher({
-        lifespan: typeof this.options.cache === 'number' ? this.options.cache : 5000,
-        execute: this.execute
-      });
-
-      this.execute = this.cache.execute;
+      const execute = this.execute;
+
+      this.cache = new RequestCache(this.options.cache, this.options.name);
+
+      // the cache holds the serializable part of the Response, so it can be persisted
+      // and answer calls asking for the body as well as calls asking for the full Response
+      this.execute = (data = {}, connection = this.connection, options = {}) => {
+        const cancellation = CancellationToken.from(options.cancellation);
+        const result = this.cache.execute(data, () => {
+            return execute(data, connection, _.extend({}, options, {fullResponse: true, cancellation}))
+              .then((_result) => {
+                return Response.from(_result).toJSON();
+              });
+          }, this.cache.getScope(connection, options))
+          .then((entry) => {
+            return options.fullResponse ? new Response(entry) : entry.body;
+          });
+        const promise = Promise.race([result, cancellation.promise]);
+
+        promise.cancel = (reason) => {
+          cancellation.cancel(reason);
+        };
+
+        return promise;
+      };
     }
   }
 
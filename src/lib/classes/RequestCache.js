@@ -0,0 +1,469 @@
+import _ from 'lodash';
+
+import storages from '../singletons/storages';
+
+import pickSerializableOptions from '../helpers/pickSerializableOptions';
+import serialize from '../helpers/serialize';
+
+import RequestInvalidPropertyException from '../exceptions/RequestInvalidPropertyException';
+
+const defaults = {
+  lifespan: 5000,
+  staleWhileRevalidate: false,
+  conditional: false,
+  storage: 'memory',
+  tags: []
+};
+
+// caches that have tags by their storage key, so they can be invalidated by tag
+const caches = {};
+
+let lastAnonymousId = 0;
+
+// separates the key of the data from the scope (connection and options) a result was requested in
+const scopeSeparator = ' ';
+
+/**
+ * A {@link RequestCache} caches the results of a {@link Request} by the data it is executed with,
+ * instantiated by the {@link Request} when a cache property is provided in its options.
+ * Results of executions on different {@link Connection}s or with different options (headers, structured and auth, see {@link Connection#request}) are kept apart.
+ * Concurrent executions with the same key share one execution, failed executions aren't cached.
+ * When a result can't be stored (the storage is full for example) the execution still resolves with it, results that expired
+ * (and can't be used while revalidating) are removed from the storage whenever it is written to.
+ *
+ * @property lifespan {Number} Milliseconds a result is cached, defaults to 5000
+ * @property key {Function} (optional) Function that takes the data and returns the key to cache the result under, defaults to the data serialized
+ * @property tags {String|Array<String>} (optional) Tags of the cache, executing a {@link Request} with one of these tags in its invalidates option invalidates it
+ * @property staleWhileRevalidate {Boolean|Number} (optional) Resolve with an expired result while fetching a fresh one in the background,
+ * true to do so regardless of the age of the result, a number to do so for this amount of milliseconds after it expired
+ * @property conditional {Boolean} (optional) For GET and HEAD requests, remember the ETag and Last-Modified headers of responses,
+ * send them as If-None-Match and If-Modified-Since once the result expired and resolve with the remembered body when the server responds with a 304.
+ * Combine it with a short (or 0) lifespan for polling
+ * @property storage {String|Object} 'memory' (default), 'localStorage', 'sessionStorage', 'indexedDB' or an object implementing getItem, setItem and removeItem, returning Promises.
+ * Results are stored as the serializable part of their {@link Response} (see {@link Response#toJSON}), for storages other than memory their bodies should be JSON serializable
+ *
+ * @param options {Boolean|Number|Object} true for the defaults, the lifespan or an object containing the properties
+ * @param requestName {String} Name of the {@link Request} the cache belongs to, results are stored under 'frntnd-communicator:cache:' followed by it,
+ * the validators of conditional requests under the same key followed by ':validators'.
+ * Caches without a name get a key of their own that only lasts for the session, so they can only use the memory storage
+ *
+ * @class RequestCache
+ * @see {@link Request}
+ *
+ * @global
+ * @example
+ * const findUser = new Request({
+ *   name: 'FindUserRequest',
+ *   shortName: 'findOne',
+ *   method: 'get',
+ *   route: '/user/:id',
+ *   cache: {
+ *     lifespan: 60000,
+ *     key: (data) => data.id,
+ *     tags: ['user'],
+ *     staleWhileRevalidate: true,
+ *     storage: 'sessionStorage'
+ *   }
+ * });
+ *
+ * // invalidates the cache of FindUserRequest when it succeeds
+ * const updateUser = new Request({
+ *   name: 'UpdateUserRequest',
+ *   shortName: 'update',
+ *   method: 'put',
+ *   route: '/user/:id',
+ *   invalidates: ['user']
+ * });
+ */
+class RequestCache {
+
+  constructor(options = {}, requestName = '') {
+    RequestCache.validateImplementation(options);
+
+    if (typeof options === 'number') {
+      options = {lifespan: options};
+    }
+
+    this.options = _.defaults({}, options === true ? {} : options, defaults, {
+      storageKey: `frntnd-communicator:cache:${requestName || `anonymous-${++lastAnonymousId}`}`
+    });
+
+    this.options.tags = [].concat(this.options.tags);
+    this.options.validatorsKey = `${this.options.storageKey}:validators`;
+
+    this.storage = typeof this.options.storage === 'string' ? storages[this.options.storage] : this.options.storage;
+
+    if (!requestName && this.storage !== storages.memory) {
+      throw new RequestInvalidPropertyException('a cache that persists its results needs the name of its Request to store them under');
+    }
+
+    // executions in flight by key
+    this._pending = {};
+
+    // incremented on invalidation, so executions that were in flight don't store outdated results
+    this._generation = 0;
+
+    // serializes access to the storage so entries don't get lost between loading and saving
+    this._lock = Promise.resolve();
+
+    if (this.options.tags.length) {
+      caches[this.options.storageKey] = this;
+    }
+  }
+
+  /**************
+   * PUBLIC API *
+   **************/
+
+  /**
+   * Validates the cache option of a {@link Request}, throws an Error when a validation error occurs.
+   * @static
+   * @method validateImplementation
+   * @memberof RequestCache
+   * @param options {Boolean|Number|Object} The implementation to validate
+   * @throws Error
+   */
+  static validateImplementation(options) {
+    if (options === true || typeof options === 'number') {
+      return;
+    }
+
+    if (!options || typeof options !== 'object') {
+      throw new RequestInvalidPropertyException('cache must be true, a number or an object');
+    }
+
+    if (typeof options.lifespan !== 'undefined' && typeof options.lifespan !== 'number') {
+      throw new RequestInvalidPropertyException('cache.lifespan must be a number');
+    }
+
+    if (typeof options.key !== 'undefined' && typeof options.key !== 'function') {
+      throw new RequestInvalidPropertyException('cache.key must be a function');
+    }
+
+    if (typeof options.tags !== 'undefined' && typeof options.tags !== 'string' && !Array.isArray(options.tags)) {
+      throw new RequestInvalidPropertyException('cache.tags must be a string or an array');
+    }
+
+    if (typeof options.staleWhileRevalidate !== 'undefined' && ['boolean', 'number'].indexOf(typeof options.staleWhileRevalidate) === -1) {
+      throw new RequestInvalidPropertyException('cache.staleWhileRevalidate must be a boolean or a number');
+    }
+
+    if (typeof options.conditional !== 'undefined' && typeof options.conditional !== 'boolean') {
+      throw new RequestInvalidPropertyException('cache.conditional must be a boolean');
+    }
+
+    if (typeof options.storage === 'string' && !storages[options.storage]) {
+      throw new RequestInvalidPropertyException(`cache storage '${options.storage}' doesn't exist, use one of: ${_.keys(storages).join(', ')}`);
+    }
+
+    if (typeof options.storage === 'object' && !_.every(['getItem', 'setItem', 'removeItem'], (method) => {
+        return typeof options.storage[method] === 'function';
+      })) {
+      throw new RequestInvalidPropertyException('cache storage must implement getItem, setItem and removeItem');
+    }
+  }
+
+  /**
+   * Invalidates the caches that have one or more of the tags
+   * @static
+   * @method invalidateTags
+   * @memberof RequestCache
+   * @param tags {String|Array<String>}
+   * @returns {Promise}
+   */
+  static invalidateTags(tags) {
+    tags = [].concat(tags);
+
+    return Promise.all(_.map(_.filter(_.values(caches), (cache) => {
+      return _.intersection(cache.options.tags, tags).length > 0;
+    }), (cache) => {
+      return cache.invalidate();
+    }));
+  }
+
+  /**
+   * Gets the scope of an execution, the url of the {@link Connection} and the serializable options of the call except fullResponse,
+   * as the cached result answers calls asking for the body as well as calls asking for the full {@link Response}
+   * @instance
+   * @memberof RequestCache
+   * @method getScope
+   * @param connection {Connection}
+   * @param options {Object} The options of the call, see {@link Connection#request}
+   * @returns {Object}
+   */
+  getScope(connection, options = {}) {
+    return {
+      url: connection && connection.options ? connection.options.url : undefined,
+      options: _.omit(pickSerializableOptions(options), 'fullResponse')
+    };
+  }
+
+  /**
+   * Gets the key the result for data is cached under
+   * @instance
+   * @memberof RequestCache
+   * @method getKey
+   * @param data {*}
+   * @param scope {Object} (optional) The scope of the execution, see {@link RequestCache#getScope}
+   * @returns {String}
+   */
+  getKey(data, scope) {
+    const key = typeof this.options.key === 'function' ? String(this.options.key(data)) : serialize(data);
+
+    return typeof scope === 'undefined' ? key : `${key}${scopeSeparator}${serialize(scope)}`;
+  }
+
+  /**
+   * Resolves with the cached result for data, executes fn when there is none (or it expired) and caches its result
+   * @instance
+   * @memberof RequestCache
+   * @method execute
+   * @param data {*} The data the {@link Request} is executed with
+   * @param fn {Function} Function that executes the {@link Request}, should return a Promise
+   * @param scope {Object} (optional) The scope of the execution, see {@link RequestCache#getScope}
+   * @returns {Promise}
+   */
+  execute(data, fn, scope) {
+    const key = this.getKey(data, scope);
+
+    return this._synchronize(() => {
+        return this._load();
+      })
+      .then((entries) => {
+        const entry = entries[key];
+        const age = entry ? new Date().getTime() - entry.time : Infinity;
+
+        if (age < this.options.lifespan) {
+          return entry.value;
+        }
+
+        if (entry && this._isUsableWhenStale(age)) {
+          this._refresh(key, fn)
+            .catch(_.noop);
+
+          return entry.value;
+        }
+
+        return this._refresh(key, fn);
+      });
+  }
+
+  /**
+   * Whether requests executed with a method should be made conditional
+   * @instance
+   * @memberof RequestCache
+   * @method appliesConditionallyTo
+   * @param method {String}
+   * @returns {Boolean}
+   */
+  appliesConditionallyTo(method = '') {
+    return this.options.conditional && ['GET', 'HEAD'].indexOf(method.toUpperCase()) !== -1;
+  }
+
+  /**
+   * Gets the validators remembered for data, {etag, lastModified, body} or null when there are none
+   * @instance
+   * @memberof RequestCache
+   * @method getValidator
+   * @param data {*}
+   * @param scope {Object} (optional) The scope of the execution, see {@link RequestCache#getScope}
+   * @returns {Promise}
+   */
+  getValidator(data, scope) {
+    const key = this.getKey(data, scope);
+
+    return this._synchronize(() => {
+        return this._load(this.options.validatorsKey);
+      })
+      .then((validators) => {
+        return validators[key] || null;
+      });
+  }
+
+  /**
+   * Remembers the ETag and Last-Modified headers of a {@link Response} together with its body, when it has any of them
+   * @instance
+   * @memberof RequestCache
+   * @method setValidator
+   * @param data {*}
+   * @param response {Response}
+   * @param scope {Object} (optional) The scope of the execution, see {@link RequestCache#getScope}
+   * @returns {Promise}
+   */
+  setValidator(data, response, scope) {
+    const key = this.getKey(data, scope);
+    const etag = response.header('ETag');
+    const lastModified = response.header('Last-Modified');
+
+    if (response.status === 304 || !response.ok || (!etag && !lastModified)) {
+      return Promise.resolve();
+    }
+
+    return this._update((validators) => {
+      validators[key] = {
+        etag,
+        lastModified,
+        body: response.body
+      };
+
+      return validators;
+    }, this.options.validatorsKey);
+  }
+
+  /**
+   * Removes the cached results for data in any scope, or all cached results when no data is provided
+   * @instance
+   * @memberof RequestCache
+   * @method invalidate
+   * @param data {*} (optional)
+   * @returns {Promise}
+   */
+  invalidate(data) {
+    const invalidateAll = typeof data === 'undefined';
+    const key = invalidateAll ? null : this.getKey(data);
+
+    this._generation++;
+
+    if (invalidateAll) {
+      this._pending = {};
+
+      return this._synchronize(() => {
+        return Promise.all([
+          this.storage.removeItem(this.options.storageKey),
+          this.storage.removeItem(this.options.validatorsKey)
+        ]);
+      });
+    }
+
+    const matches = (_key) => {
+      return _key === key || _key.indexOf(`${key}${scopeSeparator}`) === 0;
+    };
+
+    this._pending = _.omit(this._pending, (promise, _key) => {
+      return matches(_key);
+    });
+
+    const remove = (entries) => {
+      return _.omit(entries, (entry, _key) => {
+        return matches(_key);
+      });
+    };
+
+    return Promise.all([
+      this._update(remove),
+      this._update(remove, this.options.validatorsKey)
+    ]);
+  }
+
+  /**
+   * Stops invalidating this cache by tag and forgets the executions in flight, for caches of {@link Request}s that are created dynamically,
+   * so they can be garbage collected. Results that have been stored are kept
+   * @instance
+   * @memberof RequestCache
+   * @method destroy
+   */
+  destroy() {
+    if (caches[this.options.storageKey] === this) {
+      delete caches[this.options.storageKey];
+    }
+
+    this._pending = {};
+  }
+
+  /***************
+   * PRIVATE API *
+   ***************/
+
+  static get _type() {
+    return 'RequestCache';
+  }
+
+  _isUsableWhenStale(age) {
+    const staleWhileRevalidate = this.options.staleWhileRevalidate;
+
+    if (typeof staleWhileRevalidate === 'number') {
+      return age < this.options.lifespan + staleWhileRevalidate;
+    }
+
+    return staleWhileRevalidate === true;
+  }
+
+  _refresh(key, fn) {
+    if (!this._pending[key]) {
+      const generation = this._generation;
+      const promise = Promise.resolve(fn())
+        .then((value) => {
+          if (this._pending[key] === promise) {
+            delete this._pending[key];
+          }
+
+          if (generation !== this._generation) {
+            return value;
+          }
+
+          return this._update((entries) => {
+              entries[key] = {
+                value,
+                time: new Date().getTime()
+              };
+
+              return entries;
+            })
+            .then(() => {
+              return value;
+            }, () => {
+              // the result is valid, it just won't be cached
+              return value;
+            });
+        }, (err) => {
+          if (this._pending[key] === promise) {
+            delete this._pending[key];
+          }
+
+          return Promise.reject(err);
+        });
+
+      this._pending[key] = promise;
+    }
+
+    return this._pending[key];
+  }
+
+  _load(storageKey = this.options.storageKey) {
+    return this.storage.getItem(storageKey)
+      .then((entries) => {
+        return _.extend({}, entries);
+      });
+  }
+
+  _update(fn, storageKey = this.options.storageKey) {
+    return this._synchronize(() => {
+      return this._load(storageKey)
+        .then((entries) => {
+          return this.storage.setItem(storageKey, fn(storageKey === this.options.storageKey ? this._prune(entries) : entries));
+        });
+    });
+  }
+
+  // removes the results that are too old to be used, even while revalidating
+  _prune(entries) {
+    const now = new Date().getTime();
+
+    return _.omit(entries, (entry) => {
+      const age = now - entry.time;
+
+      return age >= this.options.lifespan && !this._isUsableWhenStale(age);
+    });
+  }
+
+  _synchronize(fn) {
+    const promise = this._lock.then(fn);
+
+    this._lock = promise.catch(_.noop);
+
+    return promise;
+  }
+
+}
+
+export default RequestCache;
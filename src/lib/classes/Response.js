@@ -0,0 +1,250 @@
+import _ from 'lodash';
+
+import createRequestException from '../helpers/createRequestException';
+
+import AdapterMethodNotImplementedException from '../exceptions/AdapterMethodNotImplementedException';
+import RequestCancelledException from '../exceptions/RequestCancelledException';
+import RequestFailedException from '../exceptions/RequestFailedException';
+
+/**
+ * A {@link Response} is the transport-agnostic result of a request, built-in {@link Adapter}s resolve with one,
+ * and reject with a {@link RequestFailedException} (or a subclass matching the status, see {@link createRequestException}) carrying one. Custom {@link Adapter}s can use {@link Response.resolve} and {@link Response.reject},
+ * anything else they resolve with is wrapped in a {@link Response} by the {@link Connection}.
+ *
+ * @property status {Number} Http status, 0 when the server couldn't be reached
+ * @property statusText {String} Http status text
+ * @property headers {Object} Headers of the response, keys are lowercase
+ * @property body {*} The (parsed) body of the response
+ * @property raw {*} The object the transport produced, a jqXHR or fetch Response for example
+ * @property duration {Number} **SET AUTOMATICALLY** Milliseconds the {@link Adapter} took
+ * @property request {Object} **SET AUTOMATICALLY** The request built for the {@link Adapter}
+ * @property ok {Boolean} Whether the status is a successful one (2xx or 304)
+ *
+ * @param options {Object} Object containing the properties
+ *
+ * @class Response
+ * @see {@link Adapter}
+ * @see {@link Connection}
+ *
+ * @global
+ * @example
+ * // in an Adapter
+ * request(options) {
+ *   return transport.send(options)
+ *     .then((result) => {
+ *       return Response.resolve({
+ *         status: result.status,
+ *         headers: result.headers,
+ *         body: result.data,
+ *         raw: result
+ *       });
+ *     }, (result) => {
+ *       return Response.reject({
+ *         status: result.status,
+ *         body: result.data,
+ *         raw: result
+ *       });
+ *     });
+ * }
+ *
+ * // in a resolve method of a Request
+ * resolve(body, data, response) {
+ *   console.log(response.status, response.header('ETag'));
+ *   return body;
+ * }
+ */
+class Response {
+
+  constructor(options = {}) {
+    this.status = typeof options.status === 'number' ? options.status : 200;
+    this.statusText = options.statusText || '';
+    this.headers = Response.normalizeHeaders(options.headers);
+    this.body = options.body;
+    this.raw = typeof options.raw === 'undefined' ? options.body : options.raw;
+    this.duration = options.duration || 0;
+    this.request = options.request || null;
+  }
+
+  get ok() {
+    return (this.status >= 200 && this.status < 300) || this.status === 304;
+  }
+
+  /**************
+   * PUBLIC API *
+   **************/
+
+  /**
+   * Gets a header of this {@link Response}
+   * @instance
+   * @memberof Response
+   * @method header
+   * @param name {String} Name of the header, case insensitive
+   * @returns {String|undefined}
+   */
+  header(name = '') {
+    return this.headers[name.toLowerCase()];
+  }
+
+  /**
+   * Gets the properties of this {@link Response} that can be serialized (status, statusText, headers, body and duration),
+   * passing them into the constructor restores it without the raw result of the transport and the request
+   * @instance
+   * @memberof Response
+   * @method toJSON
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      status: this.status,
+      statusText: this.statusText,
+      headers: _.clone(this.headers),
+      body: this.body,
+      duration: this.duration
+    };
+  }
+
+  /**
+   * Creates a Promise resolving with a {@link Response}, for {@link Adapter} implementations
+   * @static
+   * @method resolve
+   * @memberof Response
+   * @param options {Object} Object containing the properties of the {@link Response}
+   * @returns {Promise}
+   */
+  static resolve(options = {}) {
+    return Promise.resolve(new Response(options));
+  }
+
+  /**
+   * Creates a Promise rejecting with the {@link RequestFailedException} matching the status, carrying a {@link Response}, for {@link Adapter} implementations
+   * @static
+   * @method reject
+   * @memberof Response
+   * @param options {Object} Object containing the properties of the {@link Response}, status defaults to 0
+   * @param message {String} (optional) Message of the {@link RequestFailedException}
+   * @returns {Promise}
+   */
+  static reject(options = {}, message) {
+    const response = new Response(_.defaults({}, options, {status: 0}));
+
+    return Promise.reject(createRequestException(message || Response.describe(response), response));
+  }
+
+  /**
+   * Wraps whatever an {@link Adapter} resolved with in a {@link Response}, sets the request and duration
+   * @static
+   * @method from
+   * @memberof Response
+   * @param result {*} The result of the {@link Adapter}
+   * @param request {Object} The request built for the {@link Adapter}
+   * @param duration {Number} (optional) Milliseconds the {@link Adapter} took
+   * @returns {Response}
+   */
+  static from(result, request = null, duration = 0) {
+    const response = result instanceof Response ? result : new Response({body: result});
+
+    response.request = response.request || request;
+    response.duration = response.duration || duration;
+
+    return response;
+  }
+
+  /**
+   * Wraps whatever an {@link Adapter} rejected with in the {@link RequestFailedException} matching its status,
+   * cancellations and methods the {@link Adapter} doesn't implement are left as they are
+   * @static
+   * @method failure
+   * @memberof Response
+   * @param err {*} The rejection of the {@link Adapter}
+   * @param request {Object} The request built for the {@link Adapter}
+   * @param duration {Number} (optional) Milliseconds the {@link Adapter} took
+   * @returns {RequestFailedException|RequestCancelledException|AdapterMethodNotImplementedException}
+   */
+  static failure(err, request = null, duration = 0) {
+    if (err instanceof RequestCancelledException || err instanceof AdapterMethodNotImplementedException) {
+      return err;
+    }
+
+    if (err instanceof RequestFailedException) {
+      // Adapters create the exception before they know about the definition of the request
+      if (err.response) {
+        Response.from(err.response, request, duration);
+      }
+
+      if (request) {
+        err.request = err.request || request.request;
+        err.url = err.url || request.url;
+      }
+
+      return err;
+    }
+
+    const response = new Response({
+      status: err && typeof err.status === 'number' ? err.status : 0,
+      statusText: err ? err.statusText : '',
+      body: err ? err.responseJSON || err.responseText || err.body : undefined,
+      raw: err,
+      request,
+      duration
+    });
+
+    return createRequestException(err && err.message ? err.message : Response.describe(response), response);
+  }
+
+  /**
+   * Lowercases the keys of a headers object, parses the string XMLHttpRequest.getAllResponseHeaders returns and reads fetch Headers
+   * @static
+   * @method normalizeHeaders
+   * @memberof Response
+   * @param headers {Object|String|Headers}
+   * @returns {Object}
+   */
+  static normalizeHeaders(headers) {
+    const normalized = {};
+
+    if (typeof headers === 'string') {
+      _.each(headers.split(/\r?\n/), (line) => {
+        const index = line.indexOf(':');
+
+        if (index > 0) {
+          normalized[line.substr(0, index).trim().toLowerCase()] = line.substr(index + 1).trim();
+        }
+      });
+    } else if (headers && typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+      headers.forEach((val, key) => {
+        normalized[key.toLowerCase()] = val;
+      });
+    } else {
+      _.each(headers, (val, key) => {
+        normalized[key.toLowerCase()] = val;
+      });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Describes a {@link Response} for the message of a {@link RequestFailedException}
+   * @static
+   * @method describe
+   * @memberof Response
+   * @param response {Response}
+   * @returns {String}
+   */
+  static describe(response) {
+    const url = response.request ? ` ${response.request.method} ${response.request.url}` : '';
+
+    return response.status ? `request${url} failed with status ${response.status}` : `request${url} failed, the server could not be reached`;
+  }
+
+  /***************
+   * PRIVATE API *
+   ***************/
+
+  static get _type() {
+    return 'Response';
+  }
+
+}
+
+export default Response;
@@ -0,0 +1,244 @@
+import _ from 'lodash';
+
+import policyExecutor from '../singletons/policyExecutor';
+
+import AdapterMethodNotImplementedException from '../exceptions/AdapterMethodNotImplementedException';
+import RequestCancelledException from '../exceptions/RequestCancelledException';
+import RequestInvalidPropertyException from '../exceptions/RequestInvalidPropertyException';
+import RequestTimeoutException from '../exceptions/RequestTimeoutException';
+
+// methods that are safe to execute more than once
+const idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const defaults = {
+  attempts: 3,
+  delay: 500,
+  maxDelay: 10000,
+  factor: 2,
+  idempotent: false
+};
+
+// network errors (no status) and statuses that indicate a temporary problem
+function isTransientError(err) {
+  if (err instanceof RequestCancelledException || err instanceof RequestTimeoutException || err instanceof AdapterMethodNotImplementedException) {
+    return false;
+  }
+
+  const status = err ? err.status : undefined;
+
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * A {@link RetryPolicy} describes when and how often a failed {@link Request} is retried,
+ * instantiated by the {@link Request} when a retry property is provided in its options.
+ * Only idempotent requests (GET, HEAD, OPTIONS, PUT and DELETE) are retried unless the idempotent property is true.
+ *
+ * @property attempts {Number} Maximum amount of retries, defaults to 3
+ * @property delay {Number} Delay in milliseconds before the first retry, doubled (see factor) for every next retry, defaults to 500
+ * @property maxDelay {Number} Maximum delay in milliseconds, defaults to 10000
+ * @property factor {Number} Factor the delay grows with for every retry, defaults to 2
+ * @property idempotent {Boolean} Set to true to retry requests with a method that isn't idempotent (POST and PATCH)
+ * @property when {Function|String|Array<String>} (optional) Decides whether to retry, either a function that takes the error and the attempt
+ * and returns (a Promise resolving) a Boolean, or the name(s) of policies registered on the policy-executor (communicator.policyExecutor),
+ * the policies receive {error, attempt, request} and should return (a Promise resolving) true to retry, the request isn't retried when a
+ * policy returns a falsy value, rejects or isn't registered. Defaults to retrying network errors, 408, 429 and 5xx responses
+ *
+ * @param options {Number|Object} The amount of attempts or an object containing the properties
+ *
+ * @class RetryPolicy
+ * @see {@link Request}
+ *
+ * @global
+ * @example
+ * const request = new Request({
+ *   name: 'FindUsersRequest',
+ *   shortName: 'find',
+ *   method: 'get',
+ *   route: '/user',
+ *   retry: {
+ *     attempts: 5,
+ *     when(err, attempt) {
+ *       return err.status === 503;
+ *     }
+ *   }
+ * });
+ */
+class RetryPolicy {
+
+  constructor(options = {}) {
+    RetryPolicy.validateImplementation(options);
+
+    if (typeof options === 'number') {
+      options = {attempts: options};
+    }
+
+    this.options = _.defaults({}, options === true ? {} : options, defaults);
+  }
+
+  /**************
+   * PUBLIC API *
+   **************/
+
+  /**
+   * Gets a {@link RetryPolicy} for the retry option of a {@link Request}, returns the option itself when it is a {@link RetryPolicy} already
+   * @static
+   * @method from
+   * @memberof RetryPolicy
+   * @param options {RetryPolicy|Number|Object}
+   * @returns {RetryPolicy}
+   */
+  static from(options) {
+    if (options && options.constructor && options.constructor._type === 'RetryPolicy') {
+      return options;
+    }
+
+    return new RetryPolicy(options);
+  }
+
+  /**
+   * Validates the retry option of a {@link Request}, throws an Error when a validation error occurs.
+   * @static
+   * @method validateImplementation
+   * @memberof RetryPolicy
+   * @param options {Number|Object} The implementation to validate
+   * @throws Error
+   */
+  static validateImplementation(options) {
+    if (options && options.constructor && options.constructor._type === 'RetryPolicy') {
+      return;
+    }
+
+    if (['boolean', 'number', 'object'].indexOf(typeof options) === -1 || options === null) {
+      throw new RequestInvalidPropertyException('retry must be a boolean, number or object');
+    }
+
+    if (typeof options === 'object') {
+      _.each(['attempts', 'delay', 'maxDelay', 'factor'], (key) => {
+        if (typeof options[key] !== 'undefined' && typeof options[key] !== 'number') {
+          throw new RequestInvalidPropertyException(`retry.${key} must be a number`);
+        }
+      });
+
+      if (typeof options.when !== 'undefined' && ['function', 'string'].indexOf(typeof options.when) === -1 && !Array.isArray(options.when)) {
+        throw new RequestInvalidPropertyException('retry.when must be a function, a policy name or an array of policy names');
+      }
+    }
+  }
+
+  /**
+   * Whether this policy may retry requests with a method
+   * @instance
+   * @memberof RetryPolicy
+   * @method appliesTo
+   * @param method {String}
+   * @returns {Boolean}
+   */
+  appliesTo(method = '') {
+    return this.options.idempotent || idempotentMethods.indexOf(method.toUpperCase()) !== -1;
+  }
+
+  /**
+   * Decides whether a failed attempt should be retried
+   * @instance
+   * @memberof RetryPolicy
+   * @method shouldRetry
+   * @param error {*} The rejection of the failed attempt
+   * @param attempt {Number} The number of the retry that would be executed, starting at 1
+   * @param request {Object} The request built for the {@link Adapter}
+   * @returns {Promise} Resolves with a Boolean
+   */
+  shouldRetry(error, attempt, request) {
+    const when = this.options.when;
+
+    if (attempt > this.options.attempts || !this.appliesTo(request.method)) {
+      return Promise.resolve(false);
+    }
+
+    if (typeof when === 'function') {
+      return Promise.resolve(when(error, attempt, request))
+        .then((retry) => {
+          return !!retry;
+        });
+    } else if (when) {
+      // executing a policy that isn't registered throws, which shouldn't replace the error of the attempt
+      return new Promise((resolve) => {
+        resolve(policyExecutor.execute(when, {error, attempt, request}));
+      })
+        .then((results) => {
+          return _.every([].concat(results));
+        }, () => {
+          return false;
+        });
+    }
+
+    return Promise.resolve(isTransientError(error));
+  }
+
+  /**
+   * Calculates the delay before a retry
+   * @instance
+   * @memberof RetryPolicy
+   * @method getDelay
+   * @param attempt {Number} The number of the retry, starting at 1
+   * @returns {Number}
+   */
+  getDelay(attempt) {
+    return Math.min(this.options.maxDelay, this.options.delay * Math.pow(this.options.factor, attempt - 1));
+  }
+
+  /**
+   * Executes a function, retrying it according to this policy while it rejects
+   * @instance
+   * @memberof RetryPolicy
+   * @method execute
+   * @param fn {Function} Function that executes an attempt, should return a Promise
+   * @param request {Object} The request built for the {@link Adapter}
+   * @param cancellation {CancellationToken} (optional) Stops retrying once cancelled, rejecting with the reason when cancelled while waiting for a retry
+   * @returns {Promise}
+   */
+  execute(fn, request, cancellation) {
+    const attempt = (number) => {
+      return fn()
+        .catch((err) => {
+          if (cancellation && cancellation.cancelled) {
+            return Promise.reject(err);
+          }
+
+          return this.shouldRetry(err, number, request)
+            .then((retry) => {
+              if (!retry) {
+                return Promise.reject(err);
+              }
+
+              return new Promise((resolve, reject) => {
+                const timeout = setTimeout(resolve, this.getDelay(number));
+
+                if (cancellation) {
+                  cancellation.onCancel((reason) => {
+                    clearTimeout(timeout);
+                    reject(reason);
+                  });
+                }
+              })
+                .then(() => {
+                  return attempt(number + 1);
+                });
+            });
+        });
+    };
+
+    return attempt(1);
+  }
+
+  /***************
+   * PRIVATE API *
+   ***************/
+
+  static get _type() {
+    return 'RetryPolicy';
+  }
+
+}
+
+export default RetryPolicy;
@@ -0,0 +1,51 @@
+/**
+ * @module enums/ADAPTER_CAPABILITIES
+ */
+
+/**
+ * Enum representing the capabilities an {@link Adapter} can declare,
+ * the methods property lists the methods an {@link Adapter} declaring the capability has to implement
+ * @name ADAPTER_CAPABILITIES
+ * @enum ADAPTER_CAPABILITIES
+ * @property REQUEST {Object} Executes requests, requires a request method
+ * @property UPLOAD {Object} Uploads files, requires an upload method
+ * @property SUBSCRIBE {Object} Subscribes to events on the server, requires a subscribe and unsubscribe method
+ * @property BINARY {Object} Resolves responses as blob or arraybuffer (responseType), needed for downloads
+ * @property STREAMING {Object} Reports the progress of responses while they are being received (onProgress)
+ * @property CANCELLATION {Object} Aborts the transport when a request is cancelled or times out
+ */
+const ADAPTER_CAPABILITIES = {
+
+  REQUEST: {
+    value: 'request',
+    methods: ['request']
+  },
+
+  UPLOAD: {
+    value: 'upload',
+    methods: ['upload']
+  },
+
+  SUBSCRIBE: {
+    value: 'subscribe',
+    methods: ['subscribe', 'unsubscribe']
+  },
+
+  BINARY: {
+    value: 'binary',
+    methods: []
+  },
+
+  STREAMING: {
+    value: 'streaming',
+    methods: []
+  },
+
+  CANCELLATION: {
+    value: 'cancellation',
+    methods: []
+  }
+
+};
+
+export default ADAPTER_CAPABILITIES;
@@ -9,6 +9,7 @@
  * @property DISCONNECTED {Object} Disconnected state
  * @property CONNECTING {Object} Connecting state
  * @property CONNECTED {Object} Connected state
+ * @property RECONNECTING {Object} Reconnecting state, the connection was lost or could not be established and is being retried
  *
  */
 const CONNECTION_STATE = {
@@ -23,6 +24,10 @@ const CONNECTION_STATE = {
 
   CONNECTED: {
     value: 2
+  },
+
+  RECONNECTING: {
+    value: 3
   }
 
 };
@@ -10,6 +10,9 @@
  * @property PUT {Object} Put method
  * @property GET {Object} Get method
  * @property DELETE {Object} Delete method
+ * @property PATCH {Object} Patch method
+ * @property HEAD {Object} Head method
+ * @property OPTIONS {Object} Options method
  */
 const REQUEST_METHODS = {
 
@@ -27,6 +30,18 @@ const REQUEST_METHODS = {
 
   DELETE: {
     value: 'DELETE'
+  },
+
+  PATCH: {
+    value: 'PATCH'
+  },
+
+  HEAD: {
+    value: 'HEAD'
+  },
+
+  OPTIONS: {
+    value: 'OPTIONS'
   }
 
 };
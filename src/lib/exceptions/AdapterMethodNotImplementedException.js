@@ -0,0 +1,19 @@
+/**
+ * @author rik
+ */
+function AdapterMethodNotImplementedException(message, adapter = null, method = null, request = null) {
+  this.message = message;
+  this.stack = (new Error()).stack;
+
+  this.adapter = adapter;
+  this.method = method;
+  this.request = request ? request.request : null;
+  this.url = request ? request.url : null;
+}
+
+AdapterMethodNotImplementedException.prototype = new Error;
+AdapterMethodNotImplementedException.prototype.constructor = AdapterMethodNotImplementedException;
+
+AdapterMethodNotImplementedException.prototype.name = 'AdapterMethodNotImplementedException';
+
+export default AdapterMethodNotImplementedException;
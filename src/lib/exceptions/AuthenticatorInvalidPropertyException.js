@@ -0,0 +1,14 @@
+/**
+ * @author rik
+ */
+function AuthenticatorInvalidPropertyException(message) {
+  this.message = message;
+  this.stack = (new Error()).stack;
+}
+
+AuthenticatorInvalidPropertyException.prototype = new Error;
+AuthenticatorInvalidPropertyException.prototype.constructor = AuthenticatorInvalidPropertyException;
+
+AuthenticatorInvalidPropertyException.prototype.name = 'AuthenticatorInvalidPropertyException';
+
+export default AuthenticatorInvalidPropertyException;
\ No newline at end of file
@@ -0,0 +1,14 @@
+/**
+ * @author rik
+ */
+function AuthenticatorMissingPropertyException(message) {
+  this.message = message;
+  this.stack = (new Error()).stack;
+}
+
+AuthenticatorMissingPropertyException.prototype = new Error;
+AuthenticatorMissingPropertyException.prototype.constructor = AuthenticatorMissingPropertyException;
+
+AuthenticatorMissingPropertyException.prototype.name = 'AuthenticatorMissingPropertyException';
+
+export default AuthenticatorMissingPropertyException;
\ No newline at end of file
@@ -0,0 +1,15 @@
+import RequestFailedException from './RequestFailedException';
+
+/**
+ * @author rik
+ */
+function ClientErrorException(message, response, request) {
+  RequestFailedException.call(this, message, response, request);
+}
+
+ClientErrorException.prototype = new RequestFailedException;
+ClientErrorException.prototype.constructor = ClientErrorException;
+
+ClientErrorException.prototype.name = 'ClientErrorException';
+
+export default ClientErrorException;
@@ -0,0 +1,15 @@
+import ClientErrorException from './ClientErrorException';
+
+/**
+ * @author rik
+ */
+function ConflictException(message, response, request) {
+  ClientErrorException.call(this, message, response, request);
+}
+
+ConflictException.prototype = new ClientErrorException;
+ConflictException.prototype.constructor = ConflictException;
+
+ConflictException.prototype.name = 'ConflictException';
+
+export default ConflictException;
@@ -0,0 +1,15 @@
+import ClientErrorException from './ClientErrorException';
+
+/**
+ * @author rik
+ */
+function ForbiddenException(message, response, request) {
+  ClientErrorException.call(this, message, response, request);
+}
+
+ForbiddenException.prototype = new ClientErrorException;
+ForbiddenException.prototype.constructor = ForbiddenException;
+
+ForbiddenException.prototype.name = 'ForbiddenException';
+
+export default ForbiddenException;
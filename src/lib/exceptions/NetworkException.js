@@ -0,0 +1,15 @@
+import RequestFailedException from './RequestFailedException';
+
+/**
+ * @author rik
+ */
+function NetworkException(message, response, request) {
+  RequestFailedException.call(this, message, response, request);
+}
+
+NetworkException.prototype = new RequestFailedException;
+NetworkException.prototype.constructor = NetworkException;
+
+NetworkException.prototype.name = 'NetworkException';
+
+export default NetworkException;
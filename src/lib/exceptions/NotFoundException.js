@@ -0,0 +1,15 @@
+import ClientErrorException from './ClientErrorException';
+
+/**
+ * @author rik
+ */
+function NotFoundException(message, response, request) {
+  ClientErrorException.call(this, message, response, request);
+}
+
+NotFoundException.prototype = new ClientErrorException;
+NotFoundException.prototype.constructor = NotFoundException;
+
+NotFoundException.prototype.name = 'NotFoundException';
+
+export default NotFoundException;
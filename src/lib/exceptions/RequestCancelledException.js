@@ -0,0 +1,14 @@
+/**
+ * @author rik
+ */
+function RequestCancelledException(message) {
+  this.message = message;
+  this.stack = (new Error()).stack;
+}
+
+RequestCancelledException.prototype = new Error;
+RequestCancelledException.prototype.constructor = RequestCancelledException;
+
+RequestCancelledException.prototype.name = 'RequestCancelledException';
+
+export default RequestCancelledException;
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * @author rik
+ */
+function RequestFailedException(message, response = null, request = null) {
+  this.message = message;
+  this.stack = (new Error()).stack;
+
+  // request is the request built for the Adapter, it contains the definition (the Request) in its request property
+  request = request || (response ? response.request : null);
+
+  this.response = response;
+  this.status = response ? response.status : 0;
+  this.request = request ? request.request : null;
+  this.url = request ? request.url : null;
+}
+
+RequestFailedException.prototype = new Error;
+RequestFailedException.prototype.constructor = RequestFailedException;
+
+RequestFailedException.prototype.name = 'RequestFailedException';
+
+export default RequestFailedException;
@@ -0,0 +1,15 @@
+import RequestFailedException from './RequestFailedException';
+
+/**
+ * @author rik
+ */
+function RequestTimeoutException(message, request) {
+  RequestFailedException.call(this, message, null, request);
+}
+
+RequestTimeoutException.prototype = new RequestFailedException;
+RequestTimeoutException.prototype.constructor = RequestTimeoutException;
+
+RequestTimeoutException.prototype.name = 'RequestTimeoutException';
+
+export default RequestTimeoutException;
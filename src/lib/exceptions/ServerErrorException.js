@@ -0,0 +1,15 @@
+import RequestFailedException from './RequestFailedException';
+
+/**
+ * @author rik
+ */
+function ServerErrorException(message, response, request) {
+  RequestFailedException.call(this, message, response, request);
+}
+
+ServerErrorException.prototype = new RequestFailedException;
+ServerErrorException.prototype.constructor = ServerErrorException;
+
+ServerErrorException.prototype.name = 'ServerErrorException';
+
+export default ServerErrorException;
@@ -0,0 +1,15 @@
+import ClientErrorException from './ClientErrorException';
+
+/**
+ * @author rik
+ */
+function UnauthorizedException(message, response, request) {
+  ClientErrorException.call(this, message, response, request);
+}
+
+UnauthorizedException.prototype = new ClientErrorException;
+UnauthorizedException.prototype.constructor = UnauthorizedException;
+
+UnauthorizedException.prototype.name = 'UnauthorizedException';
+
+export default UnauthorizedException;
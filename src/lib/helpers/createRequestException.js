@@ -0,0 +1,47 @@
+/**
+ * @module helpers/createRequestException
+ */
+import ClientErrorException from '../exceptions/ClientErrorException';
+import ConflictException from '../exceptions/ConflictException';
+import ForbiddenException from '../exceptions/ForbiddenException';
+import NetworkException from '../exceptions/NetworkException';
+import NotFoundException from '../exceptions/NotFoundException';
+import RequestFailedException from '../exceptions/RequestFailedException';
+import ServerErrorException from '../exceptions/ServerErrorException';
+import UnauthorizedException from '../exceptions/UnauthorizedException';
+
+// statuses that have an exception of their own, other 4xx and 5xx statuses use ClientErrorException and ServerErrorException
+const exceptionsByStatus = {
+  401: UnauthorizedException,
+  403: ForbiddenException,
+  404: NotFoundException,
+  409: ConflictException
+};
+
+/**
+ * Creates the {@link RequestFailedException} matching the status of a {@link Response},
+ * a NetworkException when the server couldn't be reached (status 0), a NotFoundException for a 404 and so on.
+ * @name createRequestException
+ * @param message {String} Message of the exception
+ * @param response {Response} The response of the failed request
+ * @param request {Object} (optional) The request built for the {@link Adapter}, defaults to the request of the response
+ * @returns {RequestFailedException}
+ */
+function createRequestException(message, response, request) {
+  const status = response ? response.status : 0;
+  let Exception = RequestFailedException;
+
+  if (!status) {
+    Exception = NetworkException;
+  } else if (exceptionsByStatus[status]) {
+    Exception = exceptionsByStatus[status];
+  } else if (status >= 400 && status < 500) {
+    Exception = ClientErrorException;
+  } else if (status >= 500) {
+    Exception = ServerErrorException;
+  }
+
+  return new Exception(message, response, request);
+}
+
+export default createRequestException;
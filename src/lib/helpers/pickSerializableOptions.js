@@ -0,0 +1,22 @@
+/**
+ * @module helpers/pickSerializableOptions
+ */
+import _ from 'lodash';
+
+// options of a call that can be serialized
+const serializableOptions = ['headers', 'timeout', 'fullResponse', 'structured', 'auth'];
+
+/**
+ * Picks the options of a call to {@link Connection#request} that can be serialized, they are stored with queued requests,
+ * deduplicated requests need equal ones to be shared and cached results are kept apart by them.
+ * @name pickSerializableOptions
+ * @param options {Object} The options of the call
+ * @returns {Object}
+ * @example
+ * pickSerializableOptions({headers: {Accept: 'text/csv'}, onProgress() {}}); // {headers: {Accept: 'text/csv'}}
+ */
+function pickSerializableOptions(options) {
+  return _.pick(options, serializableOptions);
+}
+
+export default pickSerializableOptions;
@@ -0,0 +1,54 @@
+/**
+ * @module helpers/requestExceptions
+ */
+import AdapterMethodNotImplementedException from '../exceptions/AdapterMethodNotImplementedException';
+import ClientErrorException from '../exceptions/ClientErrorException';
+import ConflictException from '../exceptions/ConflictException';
+import ForbiddenException from '../exceptions/ForbiddenException';
+import NetworkException from '../exceptions/NetworkException';
+import NotFoundException from '../exceptions/NotFoundException';
+import RequestCancelledException from '../exceptions/RequestCancelledException';
+import RequestFailedException from '../exceptions/RequestFailedException';
+import RequestTimeoutException from '../exceptions/RequestTimeoutException';
+import ServerErrorException from '../exceptions/ServerErrorException';
+import UnauthorizedException from '../exceptions/UnauthorizedException';
+
+/**
+ * The exceptions a request can reject with, exposed as communicator.exceptions so they can be used with instanceof.
+ *
+ * - RequestFailedException: base of the exceptions below (except RequestCancelledException and AdapterMethodNotImplementedException),
+ *   has a response ({@link Response}, null when there is none), status, request (the {@link Request}) and url property
+ *   - NetworkException: the server couldn't be reached (status 0)
+ *   - RequestTimeoutException: the request took longer than its timeout
+ *   - ClientErrorException: 4xx responses
+ *     - UnauthorizedException (401), ForbiddenException (403), NotFoundException (404), ConflictException (409)
+ *   - ServerErrorException: 5xx responses
+ * - RequestCancelledException: the request was cancelled using a {@link CancellationToken}
+ * - AdapterMethodNotImplementedException: the {@link Adapter} doesn't implement the method the request needs
+ *
+ * @name requestExceptions
+ * @example
+ * connection.get('/user/1')
+ *   .catch((err) => {
+ *     if (err instanceof communicator.exceptions.NotFoundException) {
+ *       return null;
+ *     }
+ *
+ *     return Promise.reject(err);
+ *   });
+ */
+const requestExceptions = {
+  AdapterMethodNotImplementedException,
+  ClientErrorException,
+  ConflictException,
+  ForbiddenException,
+  NetworkException,
+  NotFoundException,
+  RequestCancelledException,
+  RequestFailedException,
+  RequestTimeoutException,
+  ServerErrorException,
+  UnauthorizedException
+};
+
+export default requestExceptions;
@@ -0,0 +1,42 @@
+/**
+ * @module helpers/saveFile
+ */
+
+/**
+ * Saves data as a file on the computer of the user, by letting the browser download it.
+ * @name saveFile
+ * @param data {Blob|ArrayBuffer|String} The data to save, for example the result of a {@link Request} with download set to true
+ * @param filename {String} The name of the file
+ * @param type {String} (optional) Mime type, used when the data isn't a Blob already
+ * @returns {Blob}
+ * @example
+ * communicator.saveFile(blob, 'report.pdf');
+ */
+function saveFile(data, filename, type = 'application/octet-stream') {
+  const blob = data instanceof Blob ? data : new Blob([data], {type});
+
+  if (window.navigator && typeof window.navigator.msSaveBlob === 'function') {
+    window.navigator.msSaveBlob(blob, filename);
+    return blob;
+  }
+
+  const url = window.URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+
+  anchor.href = url;
+  anchor.download = filename;
+  anchor.style.display = 'none';
+
+  document.body.appendChild(anchor);
+  anchor.click();
+  document.body.removeChild(anchor);
+
+  // give the browser some time to start the download before releasing the url
+  setTimeout(() => {
+    window.URL.revokeObjectURL(url);
+  }, 1000);
+
+  return blob;
+}
+
+export default saveFile;
@@ -0,0 +1,45 @@
+/**
+ * @module helpers/serialize
+ */
+import _ from 'lodash';
+
+/**
+ * Serializes data to a string that is the same for equal data, like JSON.stringify but with the keys of objects sorted
+ * and files (Blobs and FileLists) described by their name, size and type.
+ * Used to build keys for data, for example to recognize identical requests.
+ * @name serialize
+ * @param data {*}
+ * @returns {String}
+ * @example
+ * serialize({b: 1, a: 2}) === serialize({a: 2, b: 1}); // true
+ */
+function serialize(data) {
+  if (typeof data === 'undefined') {
+    return '';
+  }
+
+  return JSON.stringify(data, (key, val) => {
+    if (typeof Blob !== 'undefined' && val instanceof Blob) {
+      return {
+        name: val.name,
+        size: val.size,
+        type: val.type
+      };
+    }
+
+    if (typeof FileList !== 'undefined' && val instanceof FileList) {
+      return _.toArray(val);
+    }
+
+    if (!_.isPlainObject(val)) {
+      return val;
+    }
+
+    return _.reduce(_.keys(val).sort(), (sorted, _key) => {
+      sorted[_key] = val[_key];
+      return sorted;
+    }, {});
+  });
+}
+
+export default serialize;
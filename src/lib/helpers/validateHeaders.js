@@ -0,0 +1,20 @@
+/**
+ * @module helpers/validateHeaders
+ */
+
+/**
+ * Validates the headers option of a {@link Connection} or {@link Request}, which can be omitted or be an object or a function of the data.
+ * @name validateHeaders
+ * @param headers {*} The headers option to validate
+ * @param Exception {Function} The exception to throw, the InvalidPropertyException of the class that is validated
+ * @throws Exception
+ * @example
+ * validateHeaders(options.headers, RequestInvalidPropertyException);
+ */
+function validateHeaders(headers, Exception) {
+  if (typeof headers !== 'undefined' && headers !== null && ['object', 'function'].indexOf(typeof headers) === -1) {
+    throw new Exception('headers must be an object or a function');
+  }
+}
+
+export default validateHeaders;
@@ -0,0 +1,3 @@
+const interceptors = [];
+
+export default interceptors;
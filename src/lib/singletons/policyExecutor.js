@@ -0,0 +1,5 @@
+import PolicyExecutor from 'policy-executor';
+
+const policyExecutor = new PolicyExecutor();
+
+export default policyExecutor;
@@ -0,0 +1,13 @@
+import memory from '../storages/memory';
+import localStorage from '../storages/localStorage';
+import sessionStorage from '../storages/sessionStorage';
+import indexedDB from '../storages/indexedDB';
+
+const storages = {
+  memory,
+  localStorage,
+  sessionStorage,
+  indexedDB
+};
+
+export default storages;
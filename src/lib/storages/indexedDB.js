@@ -0,0 +1,86 @@
+/**
+ * @module storages/indexedDB
+ */
+
+const DB_NAME = 'frntnd-communicator';
+const STORE_NAME = 'items';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+function execute(mode, fn) {
+  return openDb()
+    .then((db) => {
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = fn(transaction.objectStore(STORE_NAME));
+
+        transaction.oncomplete = () => {
+          resolve(request.result);
+        };
+
+        transaction.onerror = () => {
+          reject(transaction.error);
+        };
+      });
+    });
+}
+
+/**
+ * Storage that keeps its items in an IndexedDB database (frntnd-communicator), items survive reloads and can be large.
+ * @name indexedDB
+ */
+const indexedDB = {
+
+  getItem(key) {
+    return execute('readonly', (store) => {
+      return store.get(key);
+    })
+      .then((value) => {
+        return typeof value === 'undefined' ? null : value;
+      });
+  },
+
+  setItem(key, value) {
+    return execute('readwrite', (store) => {
+      return store.put(value, key);
+    })
+      .then(() => {
+        return undefined;
+      });
+  },
+
+  removeItem(key) {
+    return execute('readwrite', (store) => {
+      return store.delete(key);
+    })
+      .then(() => {
+        return undefined;
+      });
+  }
+
+};
+
+export default indexedDB;
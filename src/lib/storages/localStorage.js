@@ -0,0 +1,35 @@
+/**
+ * @module storages/localStorage
+ */
+
+/**
+ * Storage that keeps its items in window.localStorage, serialized as JSON.
+ * @name localStorage
+ */
+const localStorage = {
+
+  getItem(key) {
+    return new Promise((resolve) => {
+      const value = window.localStorage.getItem(key);
+
+      resolve(value === null ? null : JSON.parse(value));
+    });
+  },
+
+  setItem(key, value) {
+    return new Promise((resolve) => {
+      window.localStorage.setItem(key, JSON.stringify(value));
+      resolve();
+    });
+  },
+
+  removeItem(key) {
+    return new Promise((resolve) => {
+      window.localStorage.removeItem(key);
+      resolve();
+    });
+  }
+
+};
+
+export default localStorage;
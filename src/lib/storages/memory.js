@@ -0,0 +1,30 @@
+/**
+ * @module storages/memory
+ */
+
+const items = {};
+
+/**
+ * Storage that keeps its items in memory, items are lost when the page reloads.
+ * Storages are asynchronous key value stores, values are plain (JSON serializable) objects.
+ * @name memory
+ */
+const memory = {
+
+  getItem(key) {
+    return Promise.resolve(items.hasOwnProperty(key) ? items[key] : null);
+  },
+
+  setItem(key, value) {
+    items[key] = value;
+    return Promise.resolve();
+  },
+
+  removeItem(key) {
+    delete items[key];
+    return Promise.resolve();
+  }
+
+};
+
+export default memory;
@@ -0,0 +1,35 @@
+/**
+ * @module storages/sessionStorage
+ */
+
+/**
+ * Storage that keeps its items in window.sessionStorage, serialized as JSON, items are lost when the browser tab is closed.
+ * @name sessionStorage
+ */
+const sessionStorage = {
+
+  getItem(key) {
+    return new Promise((resolve) => {
+      const value = window.sessionStorage.getItem(key);
+
+      resolve(value === null ? null : JSON.parse(value));
+    });
+  },
+
+  setItem(key, value) {
+    return new Promise((resolve) => {
+      window.sessionStorage.setItem(key, JSON.stringify(value));
+      resolve();
+    });
+  },
+
+  removeItem(key) {
+    return new Promise((resolve) => {
+      window.sessionStorage.removeItem(key);
+      resolve();
+    });
+  }
+
+};
+
+export default sessionStorage;
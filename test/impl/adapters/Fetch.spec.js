@@ -0,0 +1,250 @@
+/**
+ * @author rik
+ */
+import _ from 'lodash';
+
+import Fetch from '../../../src/impl/adapters/Fetch';
+
+import CancellationToken from '../../../src/lib/classes/CancellationToken';
+
+import NotFoundException from '../../../src/lib/exceptions/NotFoundException';
+import NetworkException from '../../../src/lib/exceptions/NetworkException';
+
+describe('Fetch', () => {
+  const stubbed = ['fetch', 'AbortController', 'Response', 'Blob'];
+  let originals = null;
+  let calls = null;
+  let respond = null;
+
+  // the browsers the specs run in don't all have fetch, these stand in for it
+  function FakeBlob(parts) {
+    this.parts = parts;
+  }
+
+  function FakeResponse(body, init = {}) {
+    const text = body instanceof FakeBlob ? body.parts.join('') : body || '';
+    const headers = init.headers && typeof init.headers.get === 'function' ? init.headers : createHeaders(init.headers);
+    const chunks = init.chunks || [text];
+
+    this.status = init.status || 200;
+    this.statusText = 'status';
+    this.ok = this.status >= 200 && this.status < 300;
+    this.headers = headers;
+    this.body = {
+      getReader() {
+        let index = 0;
+
+        return {
+          read() {
+            return Promise.resolve(index < chunks.length ? {done: false, value: chunks[index++]} : {done: true});
+          }
+        };
+      }
+    };
+
+    this.text = () => {
+      return Promise.resolve(text);
+    };
+    this.json = () => {
+      return Promise.resolve(JSON.parse(text));
+    };
+    this.blob = () => {
+      return Promise.resolve(new FakeBlob([text]));
+    };
+  }
+
+  function createHeaders(headers = {}) {
+    return {
+      get(key) {
+        return headers[key] || null;
+      },
+      forEach(cb) {
+        _.each(headers, cb);
+      }
+    };
+  }
+
+  function FakeAbortController() {
+    this.signal = {aborted: false};
+  }
+
+  FakeAbortController.prototype.abort = function () {
+    this.signal.aborted = true;
+
+    if (this.signal.onabort) {
+      this.signal.onabort();
+    }
+  };
+
+  function fakeFetch(url, init) {
+    const call = {url, init};
+
+    calls.push(call);
+
+    return new Promise((resolve, reject) => {
+      init.signal.onabort = () => {
+        reject(new Error('aborted'));
+      };
+
+      const result = respond(call);
+
+      if (result) {
+        resolve(result);
+      }
+    });
+  }
+
+  beforeEach(() => {
+    originals = _.pick(global, stubbed);
+    global.fetch = fakeFetch;
+    global.AbortController = FakeAbortController;
+    global.Response = FakeResponse;
+    global.Blob = FakeBlob;
+    calls = [];
+    respond = () => {
+      return new FakeResponse('{"id":1}', {headers: {'Content-Type': 'application/json'}});
+    };
+  });
+
+  afterEach(() => {
+    Fetch.disconnect();
+
+    _.each(stubbed, (key) => {
+      global[key] = originals[key];
+    });
+  });
+
+  describe('Fetch.request', () => {
+
+    it('should send the data of GET requests as querystring', (done) => {
+      Fetch.request({method: 'get', url: 'http://localhost/user', query: {page: 1}, data: {name: 'rik'}})
+        .then(() => {
+          expect(calls[0].url).to.equal('http://localhost/user?page=1&name=rik');
+          expect(calls[0].init.body).to.equal(undefined);
+          done();
+        });
+    });
+
+    it('should send the data of other requests as json, keeping the Content-Type that was set', (done) => {
+      Promise.all([
+          Fetch.request({method: 'post', url: 'http://localhost/user', data: {name: 'rik'}}),
+          Fetch.request({method: 'put', url: 'http://localhost/user', headers: {'content-type': 'application/vnd.api+json'}, data: {}})
+        ])
+        .then(() => {
+          expect(calls[0].init.body).to.equal('{"name":"rik"}');
+          expect(calls[0].init.headers).to.deep.equal({'Content-Type': 'application/json'});
+          expect(calls[1].init.headers).to.deep.equal({'content-type': 'application/vnd.api+json'});
+          done();
+        });
+    });
+
+  });
+
+  describe('Fetch response parsing', () => {
+
+    it('should parse the body by its Content-Type', (done) => {
+      respond = (call) => {
+        if (call.url.indexOf('json') !== -1) {
+          return new FakeResponse('{"id":1}', {headers: {'Content-Type': 'application/json'}});
+        }
+
+        return call.url.indexOf('text') !== -1 ?
+          new FakeResponse('a,b', {headers: {'Content-Type': 'text/csv'}}) :
+          new FakeResponse('%PDF', {headers: {'Content-Type': 'application/pdf'}});
+      };
+
+      Promise.all([
+          Fetch.request({method: 'get', url: 'http://localhost/json'}),
+          Fetch.request({method: 'get', url: 'http://localhost/text'}),
+          Fetch.request({method: 'get', url: 'http://localhost/file'})
+        ])
+        .then((responses) => {
+          expect(responses[0].body).to.deep.equal({id: 1});
+          expect(responses[1].body).to.equal('a,b');
+          expect(responses[2].body).to.be.an.instanceof(FakeBlob);
+          done();
+        });
+    });
+
+    it('should reject error statuses and failed fetches with the matching exceptions', (done) => {
+      respond = (call) => {
+        if (call.url.indexOf('offline') !== -1) {
+          throw new Error('Failed to fetch');
+        }
+
+        return new FakeResponse('not found', {status: 404, headers: {'Content-Type': 'text/plain'}});
+      };
+
+      Promise.all([
+          Fetch.request({method: 'get', url: 'http://localhost/unknown'}).catch(err => err),
+          Fetch.request({method: 'get', url: 'http://localhost/offline'}).catch(err => err)
+        ])
+        .then((errors) => {
+          expect(errors[0]).to.be.an.instanceof(NotFoundException);
+          expect(errors[1]).to.be.an.instanceof(NetworkException);
+          done();
+        });
+    });
+
+    it('should report the progress of reading the body and resolve with the body that has been read', (done) => {
+      const progress = [];
+
+      respond = () => {
+        return new FakeResponse(null, {
+          headers: {'Content-Type': 'application/json', 'Content-Length': '8'},
+          chunks: ['{"id":', '1}']
+        });
+      };
+
+      Fetch.request({
+        method: 'get',
+        url: 'http://localhost/user',
+        onProgress(ev) {
+          progress.push(ev);
+        }
+      })
+        .then((response) => {
+          expect(progress).to.deep.equal([{loaded: 6, total: 8}, {loaded: 8, total: 8}]);
+          expect(response.body).to.deep.equal({id: 1});
+          done();
+        });
+    });
+
+  });
+
+  describe('Fetch aborting', () => {
+
+    it('should abort the fetch when the request is cancelled', (done) => {
+      const cancellation = new CancellationToken();
+
+      respond = () => null;
+
+      Fetch.request({method: 'get', url: 'http://localhost/slow', cancellation})
+        .catch(() => {
+          expect(calls[0].init.signal.aborted).to.equal(true);
+          done();
+        });
+
+      cancellation.cancel();
+    });
+
+    it('should only abort the requests of the connection that disconnects', (done) => {
+      respond = () => null;
+
+      Promise.all([Fetch.connect('http://localhost/first'), Fetch.connect('http://localhost/firstly')])
+        .then(() => {
+          Fetch.request({method: 'get', url: 'http://localhost/first/user'}).catch(_.noop);
+          Fetch.request({method: 'get', url: 'http://localhost/firstly/user'}).catch(_.noop);
+
+          return Fetch.disconnect('http://localhost/first');
+        })
+        .then(() => {
+          expect(calls[0].init.signal.aborted).to.equal(true);
+          expect(calls[1].init.signal.aborted).to.equal(false);
+          done();
+        });
+    });
+
+  });
+
+});
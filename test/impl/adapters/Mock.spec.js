@@ -0,0 +1,178 @@
+/**
+ * @author rik
+ */
+import _ from 'lodash';
+
+import communicator from '../../../src/lib/singletons/communicator';
+
+import Mock from '../../../src/impl/adapters/Mock';
+import Connection from '../../../src/lib/classes/Connection';
+
+import NetworkException from '../../../src/lib/exceptions/NetworkException';
+import NotFoundException from '../../../src/lib/exceptions/NotFoundException';
+import ConflictException from '../../../src/lib/exceptions/ConflictException';
+
+describe('Mock', () => {
+  let connection = null;
+
+  before((done) => {
+    communicator.registerAdapter(Mock);
+
+    connection = new Connection({
+      name: 'mock-connection',
+      adapter: 'Mock',
+      url: 'http://localhost:1337'
+    });
+
+    connection.connect()
+      .then(() => {
+        done();
+      });
+  });
+
+  beforeEach(() => {
+    Mock.reset();
+  });
+
+  it('should answer requests using the handler matching the method and route', (done) => {
+    Mock.when('get', '/user/:id', (call) => {
+      return {id: call.params.id};
+    });
+
+    connection.get('/user/3')
+      .then((user) => {
+        expect(user).to.deep.equal({id: '3'});
+        done();
+      });
+  });
+
+  it('should respond with fixtures', (done) => {
+    Mock.when('post', '/user', {id: 1}, {status: 201});
+
+    connection.request({route: '/user', method: 'post'}, {name: 'rik'}, {fullResponse: true})
+      .then((response) => {
+        expect(response.status).to.equal(201);
+        expect(response.body).to.deep.equal({id: 1});
+        done();
+      });
+  });
+
+  it('should reject with the status of the handler', (done) => {
+    Mock.when('delete', '/user/:id', null, {status: 409});
+
+    connection.request({route: '/user/:id', method: 'delete'}, {id: 1})
+      .catch((err) => {
+        expect(err).to.be.an.instanceof(ConflictException);
+        done();
+      });
+  });
+
+  it('should simulate network failures', (done) => {
+    Mock.when('get', '/user', null, {status: 0});
+
+    connection.request({route: '/user', method: 'get'})
+      .catch((err) => {
+        expect(err).to.be.an.instanceof(NetworkException);
+        done();
+      });
+  });
+
+  it('should reject requests no handler matches with a 404', (done) => {
+    connection.request({route: '/unknown', method: 'get'})
+      .catch((err) => {
+        expect(err).to.be.an.instanceof(NotFoundException);
+        done();
+      });
+  });
+
+  it('should delay responses', (done) => {
+    const start = new Date().getTime();
+
+    Mock.when('get', '/slow', 'result', {delay: 50});
+
+    connection.get('/slow')
+      .then(() => {
+        expect(new Date().getTime() - start).to.be.at.least(45);
+        done();
+      });
+  });
+
+  it('should push events to subscribers', (done) => {
+    connection.subscribe('user', (data) => {
+      expect(data).to.deep.equal({id: 1});
+      done();
+    })
+      .then(() => {
+        Mock.push('user', {id: 1});
+      });
+  });
+
+  it('should record calls', (done) => {
+    Mock.when('put', '/user/:id', {});
+
+    connection.request({route: '/user/:id', method: 'put'}, {id: 4})
+      .then(() => {
+        const calls = Mock.callsTo('put', '/user/:id');
+
+        expect(calls.length).to.equal(1);
+        expect(calls[0].params).to.deep.equal({id: '4'});
+        done();
+      });
+  });
+
+  it('should keep handlers, calls and subscriptions apart per connection', (done) => {
+    const other = new Connection({
+      name: 'other-mock-connection',
+      adapter: 'Mock',
+      url: 'http://localhost:1338'
+    });
+    const received = [];
+
+    Mock.when('get', '/user', 'first', {url: 'http://localhost:1337'});
+    Mock.when('get', '/user', 'other', {url: 'http://localhost:1338'});
+
+    Promise.all([
+        connection.subscribe('user', (data) => {
+          received.push(['first', data]);
+        }),
+        other.subscribe('user', (data) => {
+          received.push(['other', data]);
+        })
+      ])
+      .then(() => {
+        Mock.push('user', 1, 'http://localhost:1338');
+
+        expect(received).to.deep.equal([['other', 1]]);
+
+        return Promise.all([connection.get('/user'), other.get('/user')]);
+      })
+      .then((results) => {
+        expect(results).to.deep.equal(['first', 'other']);
+        expect(Mock.callsTo('get', '/user', 'http://localhost:1338').length).to.equal(1);
+        done();
+      });
+  });
+
+  it('should forget the connections when reset', (done) => {
+    const dropped = new Connection({
+      name: 'dropped-mock-connection',
+      adapter: 'Mock',
+      url: 'http://localhost:1339'
+    });
+    let disconnects = 0;
+
+    dropped.on('disconnect', () => {
+      disconnects++;
+    });
+
+    dropped.connect()
+      .then(() => {
+        Mock.reset();
+        Mock.drop('gone');
+
+        expect(disconnects).to.equal(0);
+        done();
+      });
+  });
+
+});
@@ -0,0 +1,114 @@
+/**
+ * @author rik
+ */
+import _ from 'lodash';
+
+import communicator from '../../../src/lib/singletons/communicator';
+
+import Mock from '../../../src/impl/adapters/Mock';
+import createRecorder from '../../../src/impl/adapters/Recorder';
+import Connection from '../../../src/lib/classes/Connection';
+
+import NotFoundException from '../../../src/lib/exceptions/NotFoundException';
+import ConflictException from '../../../src/lib/exceptions/ConflictException';
+
+describe('Recorder', () => {
+  let recorder = null;
+  let connection = null;
+
+  before((done) => {
+    communicator.registerAdapter(Mock);
+
+    recorder = createRecorder('Mock');
+    communicator.registerAdapter(recorder);
+
+    connection = new Connection({
+      name: 'recorder-connection',
+      adapter: 'MockRecorder',
+      url: 'http://localhost:1337'
+    });
+
+    done();
+  });
+
+  beforeEach(() => {
+    Mock.reset();
+    recorder.clear();
+    recorder.mode = 'record';
+  });
+
+  it('should record the exchanges of the adapter it wraps', (done) => {
+    Mock.when('post', '/user', {id: 1}, {status: 201});
+
+    connection.post('/user', {name: 'rik'})
+      .then(() => {
+        const entries = recorder.toHAR().log.entries;
+
+        expect(entries.length).to.equal(1);
+        expect(entries[0].request.method).to.equal('POST');
+        expect(entries[0].request.url).to.equal('http://localhost:1337/user');
+        expect(entries[0].response.status).to.equal(201);
+        expect(JSON.parse(entries[0].response.content.text)).to.deep.equal({id: 1});
+        done();
+      });
+  });
+
+  it('should leave the headers that carry credentials out of the recordings', (done) => {
+    Mock.when('get', '/user', [], {headers: {'Set-Cookie': 'session=1', 'Content-Type': 'application/json'}});
+
+    connection.get('/user', {}, {headers: {authorization: 'Bearer token', 'X-CSRF-Token': 'csrf', 'X-Trace': '1'}})
+      .then(() => {
+        const entry = recorder.toHAR().log.entries[0];
+
+        expect(_.pluck(entry.request.headers, 'name')).to.deep.equal(['X-Trace']);
+        expect(_.pluck(entry.response.headers, 'name')).to.deep.equal(['content-type']);
+        done();
+      });
+  });
+
+  it('should replay recordings by method, url and body without using the adapter it wraps', (done) => {
+    Mock.when('get', '/user/:id', (call) => {
+      return {id: call.params.id};
+    });
+
+    Promise.all([connection.get('/user/1'), connection.get('/user/2')])
+      .then(() => {
+        Mock.reset();
+        recorder.mode = 'replay';
+
+        return connection.get('/user/2');
+      })
+      .then((user) => {
+        expect(user).to.deep.equal({id: '2'});
+        expect(Mock.calls.length).to.equal(0);
+        done();
+      });
+  });
+
+  it('should replay failures', (done) => {
+    Mock.when('delete', '/user/:id', null, {status: 409});
+
+    connection.request({route: '/user/:id', method: 'delete'}, {id: 1})
+      .catch(() => {
+        recorder.mode = 'replay';
+
+        return connection.request({route: '/user/:id', method: 'delete'}, {id: 1});
+      })
+      .catch((err) => {
+        expect(err).to.be.an.instanceof(ConflictException);
+        done();
+      });
+  });
+
+  it('should reject requests that have not been recorded with a 404 when replaying', (done) => {
+    recorder.load(recorder.toHAR());
+    recorder.mode = 'replay';
+
+    connection.request({route: '/unknown', method: 'get'})
+      .catch((err) => {
+        expect(err).to.be.an.instanceof(NotFoundException);
+        done();
+      });
+  });
+
+});
@@ -0,0 +1,98 @@
+/**
+ * @author rik
+ */
+import _ from 'lodash';
+
+import SSE from '../../../src/impl/adapters/SSE';
+
+describe('SSE', () => {
+  let originalEventSource = null;
+  let sources = null;
+
+  // opens the EventSource unless its url contains 'unreachable', which fails the way a server that can't be reached does
+  function FakeEventSource(url) {
+    this.url = url;
+    this.readyState = this.CONNECTING;
+    this.listeners = {};
+
+    sources[url] = this;
+
+    setTimeout(() => {
+      if (url.indexOf('unreachable') !== -1) {
+        this.onerror({});
+      } else {
+        this.readyState = this.OPEN;
+        this.onopen();
+      }
+    }, 0);
+  }
+
+  FakeEventSource.prototype.CONNECTING = 0;
+  FakeEventSource.prototype.OPEN = 1;
+  FakeEventSource.prototype.CLOSED = 2;
+
+  FakeEventSource.prototype.addEventListener = function (event, listener) {
+    this.listeners[event] = this.listeners[event] || [];
+    this.listeners[event].push(listener);
+  };
+
+  FakeEventSource.prototype.removeEventListener = function (event, listener) {
+    _.pull(this.listeners[event], listener);
+  };
+
+  FakeEventSource.prototype.close = function () {
+    this.readyState = this.CLOSED;
+  };
+
+  FakeEventSource.prototype.dispatch = function (event, data) {
+    _.each(this.listeners[event], (listener) => {
+      listener({data: JSON.stringify(data)});
+    });
+  };
+
+  beforeEach(() => {
+    originalEventSource = global.EventSource;
+    global.EventSource = FakeEventSource;
+    sources = {};
+  });
+
+  afterEach(() => {
+    SSE.disconnect();
+    global.EventSource = originalEventSource;
+  });
+
+  it('should only attach subscriptions to the EventSource of their url', (done) => {
+    const received = [];
+
+    SSE.subscribe('user', (data) => {
+      received.push(['first', data]);
+    }, 'http://first');
+
+    SSE.subscribe('user', (data) => {
+      received.push(['second', data]);
+    }, 'http://second');
+
+    Promise.all([SSE.connect('http://first'), SSE.connect('http://second')])
+      .then(() => {
+        sources['http://first'].dispatch('user', {id: 1});
+
+        expect(received).to.deep.equal([['first', {id: 1}]]);
+
+        return SSE.unsubscribe('user', null, 'http://first');
+      })
+      .then(() => {
+        expect(sources['http://first'].listeners.user.length).to.equal(0);
+        expect(sources['http://second'].listeners.user.length).to.equal(1);
+        done();
+      });
+  });
+
+  it('should reject connecting on the first error instead of letting the EventSource retry', (done) => {
+    SSE.connect('http://unreachable')
+      .catch(() => {
+        expect(sources['http://unreachable'].readyState).to.equal(FakeEventSource.prototype.CLOSED);
+        done();
+      });
+  });
+
+});
@@ -0,0 +1,170 @@
+/**
+ * @author rik
+ */
+import events from 'events';
+
+import WebSocketAdapter from '../../../src/impl/adapters/WebSocket';
+
+describe('WebSocket', () => {
+  let originalWebSocket = null;
+  let sockets = null;
+
+  function FakeWebSocket(url) {
+    this.url = url;
+    this.sent = [];
+    this.readyState = 0;
+
+    sockets[url] = this;
+
+    setTimeout(() => {
+      this.readyState = this.OPEN;
+      this.onopen();
+    }, 0);
+  }
+
+  FakeWebSocket.prototype.OPEN = 1;
+
+  FakeWebSocket.prototype.send = function (message) {
+    this.sent.push(JSON.parse(message));
+  };
+
+  FakeWebSocket.prototype.close = function () {
+    this.readyState = 3;
+    this.onclose({});
+  };
+
+  FakeWebSocket.prototype.receive = function (message) {
+    this.onmessage({data: typeof message === 'string' ? message : JSON.stringify(message)});
+  };
+
+  beforeEach(() => {
+    originalWebSocket = global.WebSocket;
+    global.WebSocket = FakeWebSocket;
+    sockets = {};
+  });
+
+  afterEach(() => {
+    WebSocketAdapter.disconnect();
+    global.WebSocket = originalWebSocket;
+  });
+
+  it('should only call the subscriptions made for the url of the socket an event arrives on', (done) => {
+    const received = [];
+
+    WebSocketAdapter.subscribe('user', (data) => {
+      received.push(['first', data]);
+    }, 'ws://first');
+
+    WebSocketAdapter.subscribe('user', (data) => {
+      received.push(['second', data]);
+    }, 'ws://second');
+
+    Promise.all([
+        WebSocketAdapter.connect('ws://first', new events.EventEmitter()),
+        WebSocketAdapter.connect('ws://second', new events.EventEmitter())
+      ])
+      .then(() => {
+        expect(sockets['ws://first'].sent).to.deep.equal([{type: 'subscribe', event: 'user'}]);
+
+        sockets['ws://first'].receive({type: 'event', event: 'user', data: 1});
+
+        expect(received).to.deep.equal([['first', 1]]);
+
+        return WebSocketAdapter.unsubscribe('user', null, 'ws://first');
+      })
+      .then(() => {
+        expect(sockets['ws://first'].sent[1]).to.deep.equal({type: 'unsubscribe', event: 'user'});
+        expect(sockets['ws://second'].sent.length).to.equal(1);
+        done();
+      });
+  });
+
+  it('should report messages that are not valid JSON as errors on the emitter', (done) => {
+    const emitter = new events.EventEmitter();
+
+    emitter.on('error', (error) => {
+      expect(error).to.be.an.instanceof(Error);
+      done();
+    });
+
+    WebSocketAdapter.connect('ws://invalid', emitter)
+      .then(() => {
+        sockets['ws://invalid'].receive('not json');
+      });
+  });
+
+  it('should report messages that are not an object as errors on the emitter', (done) => {
+    const emitter = new events.EventEmitter();
+    const errors = [];
+
+    emitter.on('error', (error) => {
+      errors.push(error);
+    });
+
+    WebSocketAdapter.connect('ws://invalid', emitter)
+      .then(() => {
+        sockets['ws://invalid'].receive('null');
+        sockets['ws://invalid'].receive('1');
+
+        expect(errors.length).to.equal(2);
+        done();
+      });
+  });
+
+  it('should open a single socket when connecting again while the socket is opening', (done) => {
+    let created = 0;
+
+    global.WebSocket = function (url) {
+      created++;
+      FakeWebSocket.call(this, url);
+    };
+    global.WebSocket.prototype = FakeWebSocket.prototype;
+
+    Promise.all([
+        WebSocketAdapter.connect('ws://opening', new events.EventEmitter()),
+        WebSocketAdapter.connect('ws://opening', new events.EventEmitter())
+      ])
+      .then(() => {
+        expect(created).to.equal(1);
+        done();
+      });
+  });
+
+  it('should send requests over the socket with the longest url the request url starts with', (done) => {
+    Promise.all([
+        WebSocketAdapter.connect('ws://host/api', new events.EventEmitter()),
+        WebSocketAdapter.connect('ws://host/api/v2', new events.EventEmitter()),
+        WebSocketAdapter.connect('ws://host', new events.EventEmitter())
+      ])
+      .then(() => {
+        WebSocketAdapter.request({method: 'get', url: 'ws://host/api/v2/user'}).catch(() => {});
+
+        expect(sockets['ws://host/api/v2'].sent[0].url).to.equal('/user');
+        expect(sockets['ws://host/api'].sent.length).to.equal(0);
+        expect(sockets['ws://host'].sent.length).to.equal(0);
+        done();
+      });
+  });
+
+  it('should resolve requests with the response of the socket they were sent on', (done) => {
+    WebSocketAdapter.connect('ws://requests', new events.EventEmitter())
+      .then(() => {
+        const promise = WebSocketAdapter.request({
+          method: 'get',
+          url: 'ws://requests/user/1'
+        });
+        const message = sockets['ws://requests'].sent[0];
+
+        expect(message.url).to.equal('/user/1');
+
+        sockets['ws://requests'].receive({type: 'response', id: message.id, data: {id: 1}});
+
+        return promise;
+      })
+      .then((response) => {
+        expect(response.body).to.deep.equal({id: 1});
+        done();
+      });
+  });
+
+});
@@ -0,0 +1,124 @@
+/**
+ * @author rik
+ */
+import _ from 'lodash';
+
+import download from '../../../src/impl/helpers/download';
+
+describe('download', () => {
+  let originalXMLHttpRequest = null;
+  let requests = null;
+
+  function FakeXMLHttpRequest() {
+    this.readyState = 0;
+    this.requestHeaders = {};
+
+    requests.push(this);
+  }
+
+  FakeXMLHttpRequest.prototype.open = function (method, url) {
+    this.method = method;
+    this.url = url;
+    this.readyState = 1;
+  };
+
+  FakeXMLHttpRequest.prototype.setRequestHeader = function (key, val) {
+    this.requestHeaders[key] = val;
+  };
+
+  FakeXMLHttpRequest.prototype.getResponseHeader = function (key) {
+    return this.responseHeaders[key] || null;
+  };
+
+  FakeXMLHttpRequest.prototype.getAllResponseHeaders = function () {
+    return _.map(this.responseHeaders, (val, key) => {
+      return `${key}: ${val}`;
+    }).join('\r\n');
+  };
+
+  FakeXMLHttpRequest.prototype.send = function (body) {
+    this.body = body;
+  };
+
+  FakeXMLHttpRequest.prototype.abort = function () {
+    this.onabort();
+  };
+
+  FakeXMLHttpRequest.prototype.respond = function (status, headers, text) {
+    this.status = status;
+    this.statusText = 'status';
+    this.responseHeaders = headers;
+
+    this.readyState = 2;
+
+    if (this.onreadystatechange) {
+      this.onreadystatechange();
+    }
+
+    this.onprogress({loaded: text.length, total: text.length, lengthComputable: true});
+
+    this.readyState = 4;
+    this.responseText = text;
+    this.response = this.responseType === 'blob' ? new Blob([text]) : text;
+
+    this.onload();
+  };
+
+  beforeEach(() => {
+    originalXMLHttpRequest = global.XMLHttpRequest;
+    global.XMLHttpRequest = FakeXMLHttpRequest;
+    requests = [];
+  });
+
+  afterEach(() => {
+    global.XMLHttpRequest = originalXMLHttpRequest;
+  });
+
+  it('should parse json responses when no responseType is given', (done) => {
+    const progress = [];
+
+    download({
+      method: 'get',
+      url: '/user',
+      query: {id: 1},
+      onProgress(ev) {
+        progress.push(ev);
+      }
+    })
+      .then((response) => {
+        expect(requests[0].url).to.equal('/user?id=1');
+        expect(response.body).to.deep.equal({id: 1});
+        expect(progress).to.deep.equal([{loaded: 8, total: 8}]);
+        done();
+      });
+
+    requests[0].respond(200, {'Content-Type': 'application/json; charset=utf-8'}, '{"id":1}');
+  });
+
+  it('should read text and other responses by their Content-Type when no responseType is given', (done) => {
+    const text = download({method: 'get', url: '/report.csv'});
+    const file = download({method: 'get', url: '/report.pdf'});
+
+    requests[0].respond(200, {'Content-Type': 'text/csv'}, 'a,b');
+    requests[1].respond(200, {'Content-Type': 'application/pdf'}, '%PDF');
+
+    Promise.all([text, file])
+      .then((responses) => {
+        expect(responses[0].body).to.equal('a,b');
+        expect(responses[1].body).to.be.an.instanceof(Blob);
+        done();
+      });
+  });
+
+  it('should use the responseType that is given', (done) => {
+    download({method: 'get', url: '/user', responseType: 'blob'})
+      .then((response) => {
+        expect(requests[0].responseType).to.equal('blob');
+        expect(response.body).to.be.an.instanceof(Blob);
+        done();
+      });
+
+    requests[0].respond(200, {'Content-Type': 'application/json'}, '{"id":1}');
+  });
+
+});
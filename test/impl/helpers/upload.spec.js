@@ -0,0 +1,158 @@
+/**
+ * @author rik
+ */
+import _ from 'lodash';
+
+import upload from '../../../src/impl/helpers/upload';
+
+import CancellationToken from '../../../src/lib/classes/CancellationToken';
+
+import RequestCancelledException from '../../../src/lib/exceptions/RequestCancelledException';
+
+describe('upload', () => {
+  let originalXMLHttpRequest = null;
+  let requests = null;
+  let respond = null;
+
+  // answers every request with the status and body respond returns for it, after reporting its upload progress
+  function FakeXMLHttpRequest() {
+    this.requestHeaders = {};
+    this.upload = {};
+
+    requests.push(this);
+  }
+
+  FakeXMLHttpRequest.prototype.open = function (method, url) {
+    this.method = method;
+    this.url = url;
+  };
+
+  FakeXMLHttpRequest.prototype.setRequestHeader = function (key, val) {
+    this.requestHeaders[key] = val;
+  };
+
+  FakeXMLHttpRequest.prototype.getResponseHeader = function (key) {
+    return key === 'Content-Type' ? 'application/json' : null;
+  };
+
+  FakeXMLHttpRequest.prototype.getAllResponseHeaders = function () {
+    return 'Content-Type: application/json';
+  };
+
+  FakeXMLHttpRequest.prototype.abort = function () {
+    this.onabort();
+  };
+
+  FakeXMLHttpRequest.prototype.send = function (body) {
+    this.body = body;
+
+    setTimeout(() => {
+      const result = respond(this);
+
+      this.upload.onprogress({loaded: 50, total: 100, lengthComputable: true});
+      this.upload.onprogress({loaded: 100, total: 100, lengthComputable: true});
+
+      this.status = result.status;
+      this.statusText = 'status';
+      this.responseText = JSON.stringify(result.body);
+      this.onload();
+    }, 0);
+  };
+
+  beforeEach(() => {
+    originalXMLHttpRequest = global.XMLHttpRequest;
+    global.XMLHttpRequest = FakeXMLHttpRequest;
+    requests = [];
+    respond = () => {
+      return {status: 200, body: {id: 1}};
+    };
+  });
+
+  afterEach(() => {
+    global.XMLHttpRequest = originalXMLHttpRequest;
+  });
+
+  it('should report the progress of every file and resolve with the parsed response', (done) => {
+    const progress = [];
+
+    upload({
+      method: 'post',
+      url: '/file',
+      data: {
+        name: 'files',
+        files: [new File(['abcd'], 'a.txt'), new File(['efgh'], 'b.txt')]
+      },
+      onProgress(ev) {
+        progress.push(ev);
+      }
+    })
+      .then((response) => {
+        expect(response.body).to.deep.equal({id: 1});
+        expect(_.pluck(progress, 'loaded')).to.deep.equal([4, 8]);
+        expect(progress[0].files).to.deep.equal([{name: 'a.txt', loaded: 4, total: 4}, {name: 'b.txt', loaded: 0, total: 4}]);
+        done();
+      });
+  });
+
+  it('should retry failing chunks with the same upload id after waiting longer for every retry', (done) => {
+    const sentAt = [];
+    let failures = 2;
+
+    respond = (xhr) => {
+      sentAt.push(new Date().getTime());
+
+      return xhr.requestHeaders['Content-Range'] === 'bytes 2-3/4' && failures-- ? {status: 503} : {status: 200, body: {id: 1}};
+    };
+
+    upload({
+      method: 'post',
+      url: '/file',
+      data: {
+        files: new File(['abcd'], 'a.txt')
+      },
+      chunkSize: 2,
+      chunkRetryDelay: 20
+    })
+      .then((response) => {
+        expect(response.body).to.deep.equal({id: 1});
+        expect(_.map(requests, (xhr) => {
+          return xhr.requestHeaders['Content-Range'];
+        })).to.deep.equal(['bytes 0-1/4', 'bytes 2-3/4', 'bytes 2-3/4', 'bytes 2-3/4']);
+        expect(_.uniq(_.map(requests, (xhr) => {
+          return xhr.requestHeaders['X-Upload-Id'];
+        })).length).to.equal(1);
+        expect(sentAt[2] - sentAt[1]).to.be.at.least(15);
+        expect(sentAt[3] - sentAt[2]).to.be.at.least(35);
+        done();
+      });
+  });
+
+  it('should stop retrying when it is cancelled while waiting to retry', (done) => {
+    const cancellation = new CancellationToken();
+
+    respond = () => {
+      setTimeout(() => {
+        cancellation.cancel();
+      }, 0);
+
+      return {status: 503};
+    };
+
+    upload({
+      method: 'post',
+      url: '/file',
+      data: {
+        files: new File(['abcd'], 'a.txt')
+      },
+      chunkSize: 2,
+      chunkRetryDelay: 1000,
+      cancellation
+    })
+      .catch((err) => {
+        expect(err).to.be.an.instanceof(RequestCancelledException);
+        expect(requests.length).to.equal(1);
+        done();
+      });
+  });
+
+});
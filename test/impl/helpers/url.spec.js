@@ -0,0 +1,33 @@
+/**
+ * @author rik
+ */
+import $ from 'jquery';
+
+import urlUtil from '../../../src/impl/helpers/url';
+
+describe('url', () => {
+
+  describe('url.appendQueryString', () => {
+
+    it('should serialize nested objects and arrays the way jQuery does', () => {
+      const query = {
+        q: 'cats',
+        filter: {status: 'open', tags: ['x', 'y']},
+        sort: [{field: 'name'}],
+        empty: null
+      };
+
+      expect(urlUtil.appendQueryString('/user', query)).to.equal(`/user?${$.param(query)}`);
+    });
+
+    it('should append to a querystring that is already there', () => {
+      expect(urlUtil.appendQueryString('/user?page=1', {size: 10})).to.equal('/user?page=1&size=10');
+    });
+
+    it('should leave the url as it is without a query', () => {
+      expect(urlUtil.appendQueryString('/user', {})).to.equal('/user');
+    });
+
+  });
+
+});
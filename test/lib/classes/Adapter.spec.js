@@ -14,6 +14,10 @@ import Request from '../../../src/lib/classes/Request';
 import Adapter from '../../../src/lib/classes/Adapter';
 import Connection from '../../../src/lib/classes/Connection';
 
+import AdapterInvalidPropertyException from '../../../src/lib/exceptions/AdapterInvalidPropertyException';
+import AdapterMethodNotImplementedException from '../../../src/lib/exceptions/AdapterMethodNotImplementedException';
+import AdapterMissingPropertyException from '../../../src/lib/exceptions/AdapterMissingPropertyException';
+
 describe('Adapter', () => {
   let adapter = null;
   let connection = null;
@@ -33,4 +37,137 @@ describe('Adapter', () => {
     cb();
   });
 
+  describe('Adapter#subscribe', () => {
+    it('should pass the event and callback into the implementation', (done) => {
+      const subscribe = mockFunction();
+      const cb = () => {};
+      const adapter = new Adapter({
+        name: 'subscribeTestAdapter',
+        subscribe
+      });
+
+      adapter.subscribe('event', cb);
+
+      verify(subscribe)('event', cb);
+      done();
+    });
+  });
+
+  describe('Adapter#unsubscribe', () => {
+    it('should pass the event and callback into the implementation', (done) => {
+      const unsubscribe = mockFunction();
+      const cb = () => {};
+      const adapter = new Adapter({
+        name: 'unsubscribeTestAdapter',
+        unsubscribe
+      });
+
+      adapter.unsubscribe('event', cb);
+
+      verify(unsubscribe)('event', cb);
+      done();
+    });
+  });
+
+  describe('Adapter#supports', () => {
+    it('should tell whether a method is implemented', (done) => {
+      const adapter = new Adapter({
+        name: 'supportsTestAdapter',
+        request() {
+          return Promise.resolve();
+        }
+      });
+
+      expect(adapter.supports('request')).to.equal(true);
+      expect(adapter.supports('subscribe')).to.equal(false);
+      done();
+    });
+
+    it('should use the declared capabilities', (done) => {
+      const adapter = new Adapter({
+        name: 'declaredCapabilitiesTestAdapter',
+        capabilities: ['request'],
+        request() {
+          return Promise.resolve();
+        }
+      });
+
+      expect(adapter.supports('request')).to.equal(true);
+      expect(adapter.supports('binary')).to.equal(false);
+      expect(adapter.getMissingCapabilities(['request', 'upload'])).to.deep.equal(['upload']);
+      done();
+    });
+  });
+
+  describe('Adapter.validateImplementation', () => {
+    it('should reject unknown capabilities', (done) => {
+      expect(() => {
+        Adapter.validateImplementation({
+          name: 'unknownCapabilityTestAdapter',
+          capabilities: ['teleport']
+        });
+      }).to.throw(AdapterInvalidPropertyException);
+      done();
+    });
+
+    it('should reject declared capabilities whose methods are not implemented', (done) => {
+      expect(() => {
+        Adapter.validateImplementation({
+          name: 'missingUploadTestAdapter',
+          capabilities: ['upload']
+        });
+      }).to.throw(AdapterMissingPropertyException);
+      done();
+    });
+  });
+
+  describe('strict mode', () => {
+    afterEach(() => {
+      delete communicator.config.strictAdapters;
+    });
+
+    it('should reject methods that are not implemented when strict', (done) => {
+      const adapter = new Adapter({
+        name: 'strictTestAdapter',
+        strict: true
+      });
+
+      adapter.subscribe('event', () => {})
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(AdapterMethodNotImplementedException);
+          expect(err.method).to.equal('subscribe');
+          expect(err.adapter).to.equal('strictTestAdapter');
+          done();
+        });
+    });
+
+    it('should use the strictAdapters config when no strict option is provided', (done) => {
+      const adapter = new Adapter({
+        name: 'configStrictTestAdapter'
+      });
+
+      communicator.config.strictAdapters = true;
+
+      adapter.subscribe('event', () => {})
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(AdapterMethodNotImplementedException);
+          done();
+        });
+    });
+
+    it('should let the strict option of an Adapter override the config', (done) => {
+      const adapter = new Adapter({
+        name: 'nonStrictTestAdapter',
+        strict: false
+      });
+
+      communicator.config.strictAdapters = true;
+
+      adapter.subscribe('event', () => {})
+        .then(() => {
+          done();
+        });
+    });
+  });
+
 });
@@ -13,12 +13,21 @@ import _connections from '../../../src/lib/singletons/connections';
 import Request from '../../../src/lib/classes/Request';
 import Adapter from '../../../src/lib/classes/Adapter';
 import Connection from '../../../src/lib/classes/Connection';
+import Response from '../../../src/lib/classes/Response';
+import RequestCache from '../../../src/lib/classes/RequestCache';
+import CancellationToken from '../../../src/lib/classes/CancellationToken';
 
 import ConnectionInvalidPropertyException from '../../../src/lib/exceptions/ConnectionInvalidPropertyException';
 import ConnectionMissingPropertyException from '../../../src/lib/exceptions/ConnectionMissingPropertyException';
 
 import RequestInvalidPropertyException from '../../../src/lib/exceptions/RequestInvalidPropertyException';
 import RequestMissingPropertyException from '../../../src/lib/exceptions/RequestMissingPropertyException';
+import RequestTimeoutException from '../../../src/lib/exceptions/RequestTimeoutException';
+import RequestCancelledException from '../../../src/lib/exceptions/RequestCancelledException';
+import RequestFailedException from '../../../src/lib/exceptions/RequestFailedException';
+import NotFoundException from '../../../src/lib/exceptions/NotFoundException';
+import ClientErrorException from '../../../src/lib/exceptions/ClientErrorException';
+import NetworkException from '../../../src/lib/exceptions/NetworkException';
 
 describe('Connection', () => {
   const validRequest = {
@@ -174,6 +183,271 @@ describe('Connection', () => {
     });
 
 
+    describe('Connection#connect', () => {
+
+      it('should retry connecting when a reconnect policy is specified', (done) => {
+        const connection = new Connection({
+          name: 'reconnectingConnection' + new Date().getTime(),
+          adapter: 'TEST',
+          url: 'url',
+          reconnect: {
+            attempts: 3,
+            delay: 0
+          }
+        });
+        const mockedAdapter = mock(adapter);
+        const reconnecting = mockFunction();
+        const reconnect = mockFunction();
+
+        connection.adapter = mockedAdapter;
+        connection.on('reconnecting', reconnecting);
+        connection.on('reconnect', reconnect);
+
+        when(mockedAdapter)
+          .connect(anything())
+          .thenReturn(Promise.reject(), Promise.resolve());
+
+        connection.connect()
+          .then(() => {
+            expect(connection.connected).to.equal(true);
+            verify(reconnecting)(anything());
+            verify(reconnect)(anything());
+            done();
+          });
+      });
+
+      it('should stay disconnected when the Adapter connects after it was disconnected', (done) => {
+        const connection = new Connection({
+          name: 'disconnectedWhileConnecting' + new Date().getTime(),
+          adapter: 'TEST',
+          url: 'url'
+        });
+        const mockedAdapter = mock(adapter);
+        const connect = mockFunction();
+        let connected = null;
+
+        connection.adapter = mockedAdapter;
+        connection.on('connect', connect);
+
+        when(mockedAdapter)
+          .connect(anything())
+          .thenReturn(new Promise((resolve) => {
+            connected = resolve;
+          }));
+        when(mockedAdapter)
+          .disconnect(anything())
+          .thenReturn(Promise.resolve());
+
+        const promise = connection.connect();
+
+        connection.disconnect()
+          .then(() => {
+            connected();
+
+            return promise;
+          })
+          .catch(() => {
+            expect(connection.disconnected).to.equal(true);
+            verify(connect, times(0))();
+            done();
+          });
+      });
+
+      it('should fail once the maximum amount of reconnect attempts has been reached', (done) => {
+        const connection = new Connection({
+          name: 'failingReconnectingConnection' + new Date().getTime(),
+          adapter: 'TEST',
+          url: 'url',
+          reconnect: {
+            attempts: 2,
+            delay: 0
+          }
+        });
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .connect(anything())
+          .thenReturn(Promise.reject());
+
+        connection.connect()
+          .catch(() => {
+            expect(connection.disconnected).to.equal(true);
+            verify(mockedAdapter, times(3)).connect(anything());
+            done();
+          });
+      });
+
+    });
+
+    describe('Adapter events', () => {
+
+      it('should become disconnected when its Adapter reports the transport was lost', (done) => {
+        let adapterEmitter = null;
+
+        Connection.registerAdapter({
+          name: 'droppingAdapter',
+          connect(url, emitter) {
+            adapterEmitter = emitter;
+            return Promise.resolve();
+          }
+        });
+
+        const connection = new Connection({
+          name: 'droppingConnection',
+          adapter: 'droppingAdapter',
+          url: 'url'
+        });
+        const disconnect = mockFunction();
+
+        connection.on('disconnect', disconnect);
+
+        connection.connect()
+          .then(() => {
+            adapterEmitter.emit('disconnected', 'reason');
+
+            expect(connection.disconnected).to.equal(true);
+            verify(disconnect)('reason');
+            done();
+          });
+      });
+
+      it('should trigger message events reported by its Adapter', (done) => {
+        let adapterEmitter = null;
+
+        Connection.registerAdapter({
+          name: 'messagingAdapter',
+          connect(url, emitter) {
+            adapterEmitter = emitter;
+            return Promise.resolve();
+          }
+        });
+
+        const connection = new Connection({
+          name: 'messagingConnection',
+          adapter: 'messagingAdapter',
+          url: 'url'
+        });
+        const message = mockFunction();
+
+        connection.on('message', message);
+
+        connection.connect()
+          .then(() => {
+            adapterEmitter.emit('message', 'data');
+
+            verify(message)('data');
+            done();
+          });
+      });
+
+    });
+
+    describe('Offline queue', () => {
+
+      function createOfflineConnection(name, mockedAdapter) {
+        const connection = new Connection({
+          name,
+          adapter: 'TEST',
+          url: 'url',
+          offline: true
+        });
+        let connects = 0;
+
+        connection.adapter = mockedAdapter;
+
+        // the first attempt to connect fails, the ones after succeed
+        when(mockedAdapter)
+          .connect(anything())
+          .then(() => {
+            return connects++ ? Promise.resolve() : Promise.reject(new Error('offline'));
+          });
+
+        return connection;
+      }
+
+      it('should queue mutating requests while offline and replay them on connect', (done) => {
+        const mockedAdapter = mock(adapter);
+        const connection = createOfflineConnection('offlineConnection', mockedAdapter);
+        const queued = mockFunction();
+
+        connection.on('queued', queued);
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            return Promise.resolve(request.headers['X-Trace'] === 'trace' ? 'result' : 'no headers');
+          });
+
+        connection.connect()
+          .catch(() => {
+            connection.post('/user', {name: 'x'}, {headers: {'X-Trace': 'trace'}})
+              .then(actual => {
+                expect(actual).to.equal('result');
+
+                return connection.getQueue();
+              })
+              .then(entries => {
+                expect(entries.length).to.equal(0);
+                done();
+              });
+
+            setTimeout(() => {
+              connection.getQueue()
+                .then(entries => {
+                  expect(entries.length).to.equal(1);
+                  expect(entries[0].options).to.deep.equal({headers: {'X-Trace': 'trace'}});
+                  verify(queued)(anything());
+
+                  connection.connect();
+                });
+            }, 0);
+          });
+      });
+
+      it('should remove a queued request from the queue when it is cancelled', (done) => {
+        const mockedAdapter = mock(adapter);
+        const connection = createOfflineConnection('cancelledOfflineConnection', mockedAdapter);
+
+        connection.connect()
+          .catch(() => {
+            const promise = connection.post('/user', {name: 'x'});
+
+            promise
+              .catch(error => {
+                expect(error).to.be.an.instanceof(RequestCancelledException);
+
+                return connection.getQueue();
+              })
+              .then(entries => {
+                expect(entries.length).to.equal(0);
+                done();
+              });
+
+            setTimeout(() => {
+              promise.cancel();
+            }, 0);
+          });
+      });
+
+      it('should not queue requests before connecting has been tried', (done) => {
+        const mockedAdapter = mock(adapter);
+        const connection = createOfflineConnection('unconnectedOfflineConnection', mockedAdapter);
+
+        when(mockedAdapter)
+          .request(anything())
+          .thenReturn(Promise.resolve('result'));
+
+        connection.post('/user', {name: 'x'})
+          .then(actual => {
+            expect(actual).to.equal('result');
+            done();
+          });
+      });
+
+    });
+
     describe('Connection#request', () => {
 
       it(`It should throw an error when trying to execute a request without a route`, (done) => {
@@ -210,6 +484,822 @@ describe('Connection', () => {
         done();
       });
 
+      it(`It should run the request through its interceptors`, (done) => {
+        const mockedAdapter = mock(adapter);
+        const interceptor = connection.registerInterceptor({
+          request(request) {
+            request.data.intercepted = true;
+            return request;
+          },
+          response(result) {
+            return result + '!';
+          }
+        });
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            return Promise.resolve(request.data.intercepted ? 'intercepted' : 'not intercepted');
+          });
+
+        connection.request(validRequest, {})
+          .then(actual => {
+            connection.removeInterceptor(interceptor);
+            expect(actual).to.equal('intercepted!');
+            done();
+          });
+      });
+
+      it(`It should skip its Adapter when an interceptor responds`, (done) => {
+        const mockedAdapter = mock(adapter);
+        const interceptor = connection.registerInterceptor({
+          request(request, respond) {
+            return respond('cached');
+          }
+        });
+
+        connection.adapter = mockedAdapter;
+
+        connection.request(validRequest, {})
+          .then(actual => {
+            connection.removeInterceptor(interceptor);
+            expect(actual).to.equal('cached');
+            verifyZeroInteractions(mockedAdapter);
+            done();
+          });
+      });
+
+      it(`It should refresh its credentials once and replay requests that were unauthorized`, (done) => {
+        let token = 'expired';
+        const refresh = mockFunction();
+        const connection = new Connection({
+          name: 'authenticatedConnection',
+          adapter: 'TEST',
+          url: 'url',
+          auth: {
+            type: 'bearer',
+            token: () => token,
+            refresh
+          }
+        });
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(refresh)()
+          .then(() => {
+            token = 'valid';
+            return Promise.resolve();
+          });
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            return request.headers.Authorization === 'Bearer valid' ? Promise.resolve('authorized') : Promise.reject({status: 401});
+          });
+
+        Promise.all([
+            connection.request(validRequest, {}),
+            connection.request(validRequest, {})
+          ])
+          .then(results => {
+            expect(results).to.deep.equal(['authorized', 'authorized']);
+            verify(refresh, times(1))();
+            done();
+          });
+      });
+
+      it(`It should refresh its credentials using a request to itself that is sent without them`, (done) => {
+        let token = 'expired';
+        const connection = new Connection({
+          name: 'selfRefreshingConnection',
+          adapter: 'TEST',
+          url: 'url',
+          auth: {
+            type: 'bearer',
+            token: () => token,
+            refresh() {
+              return connection.post('/refresh', {}, {auth: false})
+                .then((_token) => {
+                  token = _token;
+                });
+            }
+          }
+        });
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            if (request.method === 'POST') {
+              return Promise.resolve(request.headers.Authorization ? 'unexpected' : 'valid');
+            }
+
+            return request.headers.Authorization === 'Bearer valid' ? Promise.resolve('authorized') : Promise.reject({status: 401});
+          });
+
+        connection.get('/me')
+          .then(result => {
+            expect(result).to.equal('authorized');
+            done();
+          });
+      });
+
+      it(`It should reject with a RequestTimeoutException when the request takes longer than its timeout`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .thenReturn(new Promise(() => {}));
+
+        connection.request(validRequest, {}, {timeout: 10})
+          .catch(err => {
+            expect(err).to.be.an.instanceof(RequestTimeoutException);
+            done();
+          });
+      });
+
+      it(`It should only time out the request that took too long when requests share a cancellation token`, (done) => {
+        const mockedAdapter = mock(adapter);
+        const token = new CancellationToken();
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            return request.timeout === 20 ? new Promise(() => {}) : new Promise((resolve) => {
+              setTimeout(() => {
+                resolve('result');
+              }, 30);
+            });
+          });
+
+        Promise.all([
+            connection.request(validRequest, {}, {timeout: 20, cancellation: token}).catch(err => err),
+            connection.request(validRequest, {}, {timeout: 1000, cancellation: token})
+          ])
+          .then(results => {
+            expect(results[0]).to.be.an.instanceof(RequestTimeoutException);
+            expect(results[1]).to.equal('result');
+            expect(token.cancelled).to.equal(false);
+            done();
+          });
+      });
+
+      it(`It should reject with a RequestCancelledException when the request is cancelled`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .thenReturn(new Promise(() => {}));
+
+        const promise = connection.request(validRequest, {});
+
+        promise
+          .catch(err => {
+            expect(err).to.be.an.instanceof(RequestCancelledException);
+            done();
+          });
+
+        promise.cancel();
+      });
+
+      it(`It should reject shortcut calls that time out or are cancelled`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .thenReturn(new Promise(() => {}));
+
+        const cancelled = connection.post('/user', {name: 'rik'});
+
+        cancelled.cancel();
+
+        Promise.all([
+            connection.get('/user/:id', {id: 1}, {timeout: 10})
+              .then(() => null, err => err),
+            cancelled
+              .then(() => null, err => err)
+          ])
+          .then(([timedOut, _cancelled]) => {
+            expect(timedOut).to.be.an.instanceof(RequestTimeoutException);
+            expect(_cancelled).to.be.an.instanceof(RequestCancelledException);
+            done();
+          });
+      });
+
+      it(`It should retry a failing request according to its retry policy`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .thenReturn(Promise.reject({status: 503}), Promise.resolve('result'));
+
+        connection.request(_.extend({
+            retry: {
+              attempts: 2,
+              delay: 0
+            }
+          }, validRequest), {})
+          .then(actual => {
+            expect(actual).to.equal('result');
+            verify(mockedAdapter, times(2)).request(anything());
+            done();
+          });
+      });
+
+      it(`It should not retry a POST request unless it is marked idempotent`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .thenReturn(Promise.reject({status: 503}));
+
+        connection.request({
+            route: '/route',
+            method: 'post',
+            retry: {
+              attempts: 2,
+              delay: 0
+            }
+          }, {})
+          .catch(() => {
+            verify(mockedAdapter, times(1)).request(anything());
+            done();
+          });
+      });
+
+      it(`It should accept PATCH, HEAD and OPTIONS requests`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            return Promise.resolve(request.method);
+          });
+
+        Promise.all([
+            connection.patch('/route', {}),
+            connection.head('/route', {}),
+            connection.optionsRequest('/route', {})
+          ])
+          .then(methods => {
+            expect(methods).to.deep.equal(['PATCH', 'HEAD', 'OPTIONS']);
+            done();
+          });
+      });
+
+      it(`It should pass params, query, body and headers to its Adapter separately when using the structured form`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            return Promise.resolve(request);
+          });
+
+        connection.request({
+            route: '/user/:id',
+            method: 'put'
+          }, {
+            params: {id: 3},
+            query: {expand: 'roles'},
+            body: {name: 'x'},
+            headers: {'X-Test': 'test'}
+          }, {structured: true})
+          .then(request => {
+            expect(request.url).to.equal('http://localhost:1337/user/3');
+            expect(request.query).to.deep.equal({expand: 'roles'});
+            expect(request.body).to.deep.equal({name: 'x'});
+            expect(request.data).to.deep.equal({name: 'x'});
+            expect(request.headers['X-Test']).to.equal('test');
+            done();
+          });
+      });
+
+      it(`It should use the data for both the path variables and the body when not using the structured form`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            return Promise.resolve(request);
+          });
+
+        connection.request({
+            route: '/user/:id',
+            method: 'put'
+          }, {id: 3, name: 'x'})
+          .then(request => {
+            expect(request.url).to.equal('http://localhost:1337/user/3');
+            expect(request.data).to.deep.equal({id: 3, name: 'x'});
+            done();
+          });
+      });
+
+      it(`It should not treat data that looks like the structured form as such unless asked to`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            return Promise.resolve(request);
+          });
+
+        connection.get('/search', {query: 'cats'})
+          .then(request => {
+            expect(request.query).to.deep.equal({});
+            expect(request.data).to.deep.equal({query: 'cats'});
+            done();
+          });
+      });
+
+      it(`It should merge the headers of the Connection, Request and call, in that order of precedence`, (done) => {
+        const connection = new Connection({
+          name: 'connectionWithHeaders',
+          adapter: 'TEST',
+          url: 'url',
+          headers: {
+            'X-Connection': 'connection',
+            'X-Overridden': 'connection'
+          }
+        });
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            return Promise.resolve(request.headers);
+          });
+
+        connection.request({
+            route: '/route',
+            method: 'get',
+            headers: (data) => {
+              return {
+                'X-Request': data.id,
+                'X-Overridden': 'request'
+              };
+            }
+          }, {id: 3}, {
+            headers: {
+              'X-Call': 'call'
+            }
+          })
+          .then(headers => {
+            expect(headers).to.deep.equal({
+              'X-Connection': 'connection',
+              'X-Request': 3,
+              'X-Overridden': 'request',
+              'X-Call': 'call'
+            });
+            done();
+          });
+      });
+
+      it(`It should fetch a CSRF token and send it with mutating requests`, (done) => {
+        const connection = new Connection({
+          name: 'csrfConnection',
+          adapter: 'TEST',
+          url: 'http://localhost:1337',
+          csrf: true
+        });
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            if (request.method === 'GET') {
+              return Promise.resolve({_csrf: 'token'});
+            }
+
+            return Promise.resolve(request.headers['X-CSRF-Token']);
+          });
+
+        connection.post('/route', {})
+          .then(token => {
+            expect(token).to.equal('token');
+            done();
+          });
+      });
+
+      it(`It should only fetch a new CSRF token and replay the request when the 403 is about the token`, (done) => {
+        const connection = new Connection({
+          name: 'csrfReplayConnection',
+          adapter: 'TEST',
+          url: 'http://localhost:1337',
+          csrf: true
+        });
+        const mockedAdapter = mock(adapter);
+        let tokens = 0;
+        let posts = 0;
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            if (request.method === 'GET') {
+              return Promise.resolve({_csrf: `token-${++tokens}`});
+            }
+
+            posts++;
+
+            if (request.url.indexOf('/forbidden') !== -1) {
+              return Promise.reject({status: 403, body: 'not allowed'});
+            }
+
+            return request.headers['X-CSRF-Token'] === 'token-1' ? Promise.reject({status: 403, body: 'CSRF mismatch'}) : Promise.resolve('replayed');
+          });
+
+        connection.post('/route', {})
+          .then(result => {
+            expect(result).to.equal('replayed');
+            expect(posts).to.equal(2);
+
+            return connection.post('/forbidden', {});
+          })
+          .catch(err => {
+            expect(err.status).to.equal(403);
+            expect(posts).to.equal(3);
+            expect(tokens).to.equal(2);
+            done();
+          });
+      });
+
+      it(`It should pass the progress callback and chunk size of uploads to its Adapter`, (done) => {
+        const mockedAdapter = mock(adapter);
+        const onProgress = () => {};
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .upload(anything())
+          .then((request) => {
+            return Promise.resolve(request);
+          });
+
+        connection.request({
+            route: '/file',
+            method: 'post',
+            upload: {
+              chunkSize: 1024
+            }
+          }, {}, {onProgress})
+          .then(request => {
+            expect(request.onProgress).to.equal(onProgress);
+            expect(request.chunkSize).to.equal(1024);
+            done();
+          });
+      });
+
+      it(`It should ask its Adapter for a blob when the request is a download`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((request) => {
+            return Promise.resolve(request.responseType);
+          });
+
+        connection.request({
+            route: '/report',
+            method: 'get',
+            download: true
+          }, {})
+          .then(responseType => {
+            expect(responseType).to.equal('blob');
+            done();
+          });
+      });
+
+      it(`It should resolve with the Response its Adapter produced when fullResponse is passed`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then(() => {
+            return Response.resolve({
+              status: 201,
+              headers: 'Content-Type: application/json\r\nETag: "abc"',
+              body: {id: 1}
+            });
+          });
+
+        connection.request(validRequest, {}, {fullResponse: true})
+          .then(response => {
+            expect(response).to.be.an.instanceof(Response);
+            expect(response.status).to.equal(201);
+            expect(response.header('etag')).to.equal('"abc"');
+            expect(response.body).to.deep.equal({id: 1});
+            expect(response.request.method).to.equal('GET');
+            done();
+          });
+      });
+
+      it(`It should reject with a RequestFailedException when its Adapter rejects`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then(() => {
+            return Promise.reject({status: 404, responseText: 'not found'});
+          });
+
+        connection.request(validRequest, {})
+          .catch(err => {
+            expect(err).to.be.an.instanceof(RequestFailedException);
+            expect(err.status).to.equal(404);
+            expect(err.response.body).to.equal('not found');
+            done();
+          });
+      });
+
+      it(`It should reject with the exception matching the status, carrying the request and url`, (done) => {
+        const mockedAdapter = mock(adapter);
+        const request = _.clone(validRequest);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then(() => {
+            return Response.reject({status: 404});
+          });
+
+        connection.request(request, {splat: 'user'})
+          .catch(err => {
+            expect(err).to.be.an.instanceof(NotFoundException);
+            expect(err).to.be.an.instanceof(ClientErrorException);
+            expect(err.request).to.equal(request);
+            expect(err.url).to.equal('http://localhost:1337/route/user');
+            expect(err.response).to.be.an.instanceof(Response);
+            done();
+          });
+      });
+
+      it(`It should reject anonymous requests with the exception matching the status`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then(() => {
+            return Response.reject({status: 404});
+          });
+
+        connection.get('/user/:id', {id: 1})
+          .then(() => {
+            done(new Error('should have rejected'));
+          }, err => {
+            expect(err).to.be.an.instanceof(NotFoundException);
+            done();
+          });
+      });
+
+      it(`It should reject with a NetworkException when the server can't be reached`, (done) => {
+        const mockedAdapter = mock(adapter);
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then(() => {
+            return Promise.reject({status: 0});
+          });
+
+        connection.request(validRequest, {})
+          .catch(err => {
+            expect(err).to.be.an.instanceof(NetworkException);
+            done();
+          });
+      });
+
+      it(`It should share one in-flight request between deduplicated requests executed with equal data`, (done) => {
+        const mockedAdapter = mock(adapter);
+        const request = {
+          route: '/user',
+          method: 'get',
+          dedupe: true
+        };
+        let calls = 0;
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then(() => {
+            calls++;
+            return Promise.resolve(calls);
+          });
+
+        const first = connection.request(request, {b: 1, a: 2});
+        const second = connection.request(request, {a: 2, b: 1});
+
+        Promise.all([first, second])
+          .then((results) => {
+            expect(results).to.deep.equal([1, 1]);
+
+            // released once settled
+            return connection.request(request, {a: 2, b: 1});
+          })
+          .then((result) => {
+            expect(result).to.equal(2);
+            done();
+          });
+      });
+
+      it(`It should only cancel a shared in-flight request once every request sharing it has been cancelled`, (done) => {
+        const mockedAdapter = mock(adapter);
+        const request = {
+          route: '/user',
+          method: 'get',
+          dedupe: true
+        };
+        let cancellation = null;
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((_request) => {
+            cancellation = _request.cancellation;
+            return new Promise(() => {});
+          });
+
+        const first = connection.request(request, {id: 1});
+        const second = connection.request(request, {id: 1});
+
+        first.cancel();
+
+        first
+          .catch((err) => {
+            expect(err).to.be.an.instanceof(RequestCancelledException);
+            expect(cancellation.cancelled).to.equal(false);
+
+            second.cancel();
+
+            return second;
+          })
+          .catch((err) => {
+            expect(err).to.be.an.instanceof(RequestCancelledException);
+            expect(cancellation.cancelled).to.equal(true);
+            done();
+          });
+      });
+
+      it(`It should not share in-flight requests between calls with different options`, (done) => {
+        const mockedAdapter = mock(adapter);
+        const request = {
+          route: '/user',
+          method: 'get',
+          dedupe: true
+        };
+        let calls = 0;
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then(() => {
+            calls++;
+            return Promise.resolve(calls);
+          });
+
+        Promise.all([
+            connection.request(request, {id: 1}, {headers: {'Accept-Language': 'nl'}}),
+            connection.request(request, {id: 1}, {headers: {'Accept-Language': 'en'}})
+          ])
+          .then((results) => {
+            expect(results).to.deep.equal([1, 2]);
+            done();
+          });
+      });
+
+      it(`It should send the remembered validators and resolve a 304 with the remembered body when its cache is conditional`, (done) => {
+        const mockedAdapter = mock(adapter);
+        const request = {
+          route: '/user/:id',
+          method: 'get',
+          cache: new RequestCache({lifespan: 0, conditional: true}, 'ConditionalRequest')
+        };
+        let calls = 0;
+
+        connection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then((options) => {
+            calls++;
+
+            if (calls === 1) {
+              expect(options.headers['If-None-Match']).to.equal(undefined);
+
+              return Response.resolve({
+                status: 200,
+                headers: {ETag: '"v1"'},
+                body: {id: 1, name: 'rik'}
+              });
+            }
+
+            expect(options.headers['If-None-Match']).to.equal('"v1"');
+
+            return Response.resolve({
+              status: 304
+            });
+          });
+
+        connection.request(request, {id: 1})
+          .then((result) => {
+            expect(result).to.deep.equal({id: 1, name: 'rik'});
+
+            return connection.request(request, {id: 1});
+          })
+          .then((result) => {
+            expect(calls).to.equal(2);
+            expect(result).to.deep.equal({id: 1, name: 'rik'});
+            done();
+          });
+      });
+
+      it(`It should resolve a 304 with the remembered body without running it through the interceptors again`, (done) => {
+        const envelopeConnection = new Connection({
+          name: 'envelopeConnection',
+          adapter: 'TEST',
+          url: 'url',
+          interceptors: [{
+            response(result) {
+              return result.data;
+            }
+          }]
+        });
+        const mockedAdapter = mock(adapter);
+        const request = {
+          route: '/user/:id',
+          method: 'get',
+          cache: new RequestCache({lifespan: 0, conditional: true}, 'EnvelopedConditionalRequest')
+        };
+        let calls = 0;
+
+        envelopeConnection.adapter = mockedAdapter;
+
+        when(mockedAdapter)
+          .request(anything())
+          .then(() => {
+            return ++calls === 1 ? Response.resolve({
+              status: 200,
+              headers: {ETag: '"v1"'},
+              body: {data: {id: 1}}
+            }) : Response.resolve({
+              status: 304
+            });
+          });
+
+        envelopeConnection.request(request, {id: 1})
+          .then(() => {
+            return envelopeConnection.request(request, {id: 1});
+          })
+          .then((result) => {
+            expect(calls).to.equal(2);
+            expect(result).to.deep.equal({id: 1});
+            done();
+          });
+      });
+
       it(`It should use its Adapter to execute the request and acquire the result of the request`, (done) => {
         const expected = 'result';
         const mockedAdapter = mock(adapter);
@@ -13,7 +13,9 @@ import _connections from '../../../src/lib/singletons/connections';
 import Request from '../../../src/lib/classes/Request';
 import Adapter from '../../../src/lib/classes/Adapter';
 import Connection from '../../../src/lib/classes/Connection';
+import Response from '../../../src/lib/classes/Response';
 
+import RequestInvalidPropertyException from '../../../src/lib/exceptions/RequestInvalidPropertyException';
 import RequestRuntimeException from '../../../src/lib/exceptions/RequestRuntimeException';
 
 describe('Request', () => {
@@ -175,4 +177,276 @@ describe('Request', () => {
 
   });
 
+  describe('Request#cache', () => {
+    let calls = 0;
+    const fakeConnection = {
+      constructor: {
+        _type: 'Connection'
+      },
+      request() {
+        calls++;
+        return Promise.resolve(calls);
+      }
+    };
+
+    beforeEach(() => {
+      calls = 0;
+    });
+
+    it(`should cache its results by the key of the data`, (done) => {
+      const request = new Request({
+        name: 'CachedByKeyRequest',
+        shortName: 'cachedByKey',
+        method: 'get',
+        route: '/user/:id',
+        cache: {
+          lifespan: 60000,
+          key: data => data.id
+        }
+      });
+
+      request.execute({id: 1, expand: true}, fakeConnection)
+        .then(() => {
+          return request.execute({id: 1}, fakeConnection);
+        })
+        .then((result) => {
+          expect(result).to.equal(1);
+          return request.execute({id: 2}, fakeConnection);
+        })
+        .then((result) => {
+          expect(result).to.equal(2);
+          done();
+        });
+    });
+
+    it(`should answer calls asking for the body and calls asking for the Response from the same result`, (done) => {
+      const request = new Request({
+        name: 'CachedResponseRequest',
+        shortName: 'cachedResponse',
+        method: 'get',
+        route: '/user/:id',
+        cache: 60000
+      });
+      const connection = {
+        constructor: {
+          _type: 'Connection'
+        },
+        request(_request, data, options) {
+          calls++;
+          expect(options.fullResponse).to.equal(true);
+
+          return Promise.resolve(new Response({
+            status: 200,
+            headers: {ETag: '"v1"'},
+            body: {id: data.id},
+            raw: {}
+          }));
+        }
+      };
+
+      request.execute({id: 1}, connection)
+        .then((result) => {
+          expect(result).to.deep.equal({id: 1});
+          return request.execute({id: 1}, connection, {fullResponse: true});
+        })
+        .then((response) => {
+          expect(calls).to.equal(1);
+          expect(response).to.be.an.instanceof(Response);
+          expect(response.header('etag')).to.equal('"v1"');
+          expect(response.body).to.deep.equal({id: 1});
+          expect(JSON.parse(JSON.stringify(response))).to.deep.equal(response.toJSON());
+          done();
+        });
+    });
+
+    it(`should keep the results of different connections and call options apart and invalidate them together`, (done) => {
+      const request = new Request({
+        name: 'ScopedCacheRequest',
+        shortName: 'scopedCache',
+        method: 'get',
+        route: '/user/:id',
+        cache: 60000
+      });
+      const otherConnection = _.extend({options: {url: 'http://localhost/other'}}, fakeConnection);
+
+      request.execute({id: 1}, fakeConnection)
+        .then(() => {
+          return request.execute({id: 1}, fakeConnection, {headers: {Accept: 'text/csv'}});
+        })
+        .then((result) => {
+          expect(result).to.equal(2);
+          return request.execute({id: 1}, otherConnection);
+        })
+        .then((result) => {
+          expect(result).to.equal(3);
+          return request.execute({id: 1}, fakeConnection, {headers: {Accept: 'text/csv'}, fullResponse: false});
+        })
+        .then((result) => {
+          expect(result).to.equal(2);
+          return request.invalidate({id: 1});
+        })
+        .then(() => {
+          return request.execute({id: 1}, otherConnection);
+        })
+        .then((result) => {
+          expect(result).to.equal(4);
+          done();
+        });
+    });
+
+    it(`should be able to cancel a cached execution`, (done) => {
+      const request = new Request({
+        name: 'CancelledCacheRequest',
+        shortName: 'cancelledCache',
+        method: 'get',
+        route: '/user/:id',
+        cache: 60000
+      });
+      const slowConnection = {
+        constructor: {
+          _type: 'Connection'
+        },
+        request(_request, data, options) {
+          return new Promise((resolve, reject) => {
+            options.cancellation.onCancel(reject);
+          });
+        }
+      };
+      const promise = request.execute({id: 1}, slowConnection);
+
+      expect(promise.cancel).to.be.a('function');
+
+      promise
+        .catch((err) => {
+          expect(err).to.equal('cancelled');
+          done();
+        });
+
+      promise.cancel('cancelled');
+    });
+
+    it(`should execute again after being invalidated`, (done) => {
+      const request = new Request({
+        name: 'InvalidatedRequest',
+        shortName: 'invalidated',
+        method: 'get',
+        route: '/user/:id',
+        cache: 60000
+      });
+
+      request.execute({id: 1}, fakeConnection)
+        .then(() => {
+          return request.invalidate({id: 1});
+        })
+        .then(() => {
+          return request.execute({id: 1}, fakeConnection);
+        })
+        .then((result) => {
+          expect(result).to.equal(2);
+          done();
+        });
+    });
+
+    it(`should invalidate the caches with a tag`, (done) => {
+      const request = new Request({
+        name: 'TaggedRequest',
+        shortName: 'tagged',
+        method: 'get',
+        route: '/user',
+        cache: {
+          lifespan: 60000,
+          tags: ['user']
+        }
+      });
+
+      request.execute({}, fakeConnection)
+        .then(() => {
+          return Request.invalidateTags('user');
+        })
+        .then(() => {
+          return request.execute({}, fakeConnection);
+        })
+        .then((result) => {
+          expect(result).to.equal(2);
+          done();
+        });
+    });
+
+    it(`should resolve with stale results while revalidating`, (done) => {
+      const request = new Request({
+        name: 'StaleWhileRevalidateRequest',
+        shortName: 'stale',
+        method: 'get',
+        route: '/user',
+        cache: {
+          lifespan: 10,
+          staleWhileRevalidate: true
+        }
+      });
+
+      request.execute({}, fakeConnection)
+        .then(() => {
+          return new Promise((resolve) => {
+            setTimeout(resolve, 20);
+          });
+        })
+        .then(() => {
+          return request.execute({}, fakeConnection);
+        })
+        .then((result) => {
+          expect(result).to.equal(1);
+          expect(calls).to.equal(2);
+          done();
+        });
+    });
+
+  });
+
+  describe('Request.validateImplementation', () => {
+
+    it(`should reject an upload request on a connection whose adapter can't upload`, (done) => {
+      new Adapter({
+        name: 'SubscribeOnlyAdapter',
+        capabilities: ['subscribe'],
+        subscribe() {},
+        unsubscribe() {}
+      });
+
+      new Connection({
+        name: 'subscribe-only-connection',
+        adapter: 'SubscribeOnlyAdapter',
+        url: 'http://localhost:1337'
+      });
+
+      expect(() => {
+        new Request({
+          name: 'UploadOnSubscribeOnlyRequest',
+          shortName: 'upload',
+          method: 'post',
+          route: '/file',
+          upload: true,
+          connection: 'subscribe-only-connection'
+        });
+      }).to.throw(RequestInvalidPropertyException);
+
+      done();
+    });
+
+    it(`should accept any request on a connection whose adapter doesn't declare its capabilities`, (done) => {
+      expect(() => {
+        new Request({
+          name: 'UploadOnUndeclaredRequest',
+          shortName: 'upload',
+          method: 'post',
+          route: '/file',
+          upload: true,
+          connection: 'test-connection'
+        });
+      }).not.to.throw();
+
+      done();
+    });
+
+  });
+
 });
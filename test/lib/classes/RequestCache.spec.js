@@ -0,0 +1,104 @@
+/**
+ * @author rik
+ */
+import _ from 'lodash';
+
+import RequestCache from '../../../src/lib/classes/RequestCache';
+
+import RequestInvalidPropertyException from '../../../src/lib/exceptions/RequestInvalidPropertyException';
+
+describe('RequestCache', () => {
+
+  function createStorage() {
+    const items = {};
+
+    return {
+      items,
+      getItem(key) {
+        return Promise.resolve(items[key] || null);
+      },
+      setItem(key, value) {
+        items[key] = value;
+        return Promise.resolve();
+      },
+      removeItem(key) {
+        delete items[key];
+        return Promise.resolve();
+      }
+    };
+  }
+
+  it('should resolve with the result when it can\'t be stored', (done) => {
+    const storage = _.extend(createStorage(), {
+      setItem() {
+        return Promise.reject(new Error('quota exceeded'));
+      }
+    });
+    const cache = new RequestCache({storage}, 'FullStorageRequest');
+
+    cache.execute({id: 1}, () => {
+        return Promise.resolve('result');
+      })
+      .then((result) => {
+        expect(result).to.equal('result');
+        done();
+      });
+  });
+
+  it('should remove expired results when storing a result', (done) => {
+    const storage = createStorage();
+    const cache = new RequestCache({lifespan: 10, storage}, 'PrunedRequest');
+
+    cache.execute({id: 1}, () => {
+        return Promise.resolve(1);
+      })
+      .then(() => {
+        return new Promise((resolve) => {
+          setTimeout(resolve, 20);
+        });
+      })
+      .then(() => {
+        return cache.execute({id: 2}, () => {
+          return Promise.resolve(2);
+        });
+      })
+      .then(() => {
+        expect(_.keys(storage.items['frntnd-communicator:cache:PrunedRequest'])).to.deep.equal([cache.getKey({id: 2})]);
+        done();
+      });
+  });
+
+  it('should give caches without a name a key of their own', () => {
+    const first = new RequestCache(60000);
+    const second = new RequestCache(60000);
+
+    expect(first.options.storageKey).not.to.equal(second.options.storageKey);
+
+    expect(() => {
+      new RequestCache({storage: 'localStorage'});
+    }).to.throw(RequestInvalidPropertyException);
+  });
+
+  it('should not be invalidated by tag once destroyed', (done) => {
+    const cache = new RequestCache({lifespan: 60000, tags: ['destroyed']}, 'DestroyedRequest');
+    let calls = 0;
+    const fn = () => {
+      return Promise.resolve(++calls);
+    };
+
+    cache.execute({}, fn)
+      .then(() => {
+        cache.destroy();
+
+        return RequestCache.invalidateTags('destroyed');
+      })
+      .then(() => {
+        return cache.execute({}, fn);
+      })
+      .then((result) => {
+        expect(result).to.equal(1);
+        done();
+      });
+  });
+
+});
@@ -0,0 +1,89 @@
+/**
+ * @author rik
+ */
+import policyExecutor from '../../../src/lib/singletons/policyExecutor';
+
+import RetryPolicy from '../../../src/lib/classes/RetryPolicy';
+import CancellationToken from '../../../src/lib/classes/CancellationToken';
+
+import RequestCancelledException from '../../../src/lib/exceptions/RequestCancelledException';
+
+describe('RetryPolicy', () => {
+
+  describe('RetryPolicy#shouldRetry', () => {
+
+    before(() => {
+      policyExecutor.registerPolicy('retryPolicySpecAllow', () => true);
+      policyExecutor.registerPolicy('retryPolicySpecDeny', () => Promise.resolve(false));
+    });
+
+    it('should only retry when the policies resolve truthy values', (done) => {
+      Promise.all([
+          new RetryPolicy({when: 'retryPolicySpecAllow'}).shouldRetry({status: 400}, 1, {method: 'GET'}),
+          new RetryPolicy({when: 'retryPolicySpecDeny'}).shouldRetry({status: 503}, 1, {method: 'GET'}),
+          new RetryPolicy({when: ['retryPolicySpecAllow', 'retryPolicySpecDeny']}).shouldRetry({status: 503}, 1, {method: 'GET'})
+        ])
+        .then((results) => {
+          expect(results).to.deep.equal([true, false, false]);
+          done();
+        });
+    });
+
+    it('should keep the error of the attempt when a policy isn\'t registered', (done) => {
+      const policy = new RetryPolicy({attempts: 2, delay: 0, when: 'retryPolicySpecUnknown'});
+      const error = {status: 503};
+      let calls = 0;
+
+      policy.execute(() => {
+        calls++;
+
+        return Promise.reject(error);
+      }, {method: 'GET'})
+        .catch((err) => {
+          expect(err).to.equal(error);
+          expect(calls).to.equal(1);
+          done();
+        });
+    });
+
+  });
+
+  describe('RetryPolicy#execute', () => {
+
+    it('should retry the function while it rejects with a transient error', (done) => {
+      const policy = new RetryPolicy({attempts: 2, delay: 0});
+      let calls = 0;
+
+      policy.execute(() => {
+        return ++calls < 3 ? Promise.reject({status: 503}) : Promise.resolve(calls);
+      }, {method: 'GET'})
+        .then((result) => {
+          expect(result).to.equal(3);
+          done();
+        });
+    });
+
+    it('should stop waiting for the next attempt when it is cancelled', (done) => {
+      const policy = new RetryPolicy({attempts: 3, delay: 60000});
+      const cancellation = new CancellationToken();
+      let calls = 0;
+
+      policy.execute(() => {
+        calls++;
+
+        setTimeout(() => {
+          cancellation.cancel();
+        }, 0);
+
+        return Promise.reject({status: 503});
+      }, {method: 'GET'}, cancellation)
+        .catch((err) => {
+          expect(err).to.be.an.instanceof(RequestCancelledException);
+          expect(calls).to.equal(1);
+          done();
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,70 @@
+/**
+ * @author rik
+ */
+import saveFile from '../../../src/lib/helpers/saveFile';
+
+describe('saveFile', () => {
+  let createObjectURL = null;
+  let revokeObjectURL = null;
+  let revoked = null;
+  let clock = null;
+
+  beforeEach(() => {
+    createObjectURL = window.URL.createObjectURL;
+    revokeObjectURL = window.URL.revokeObjectURL;
+    revoked = [];
+    clock = sinon.useFakeTimers();
+
+    window.URL.createObjectURL = () => {
+      return 'blob:file';
+    };
+    window.URL.revokeObjectURL = (url) => {
+      revoked.push(url);
+    };
+  });
+
+  afterEach(() => {
+    clock.restore();
+    window.URL.createObjectURL = createObjectURL;
+    window.URL.revokeObjectURL = revokeObjectURL;
+  });
+
+  it('should let the browser download the data as a file with the name provided', () => {
+    let anchor = null;
+    const listener = (ev) => {
+      anchor = ev.target;
+      ev.preventDefault();
+    };
+
+    document.addEventListener('click', listener);
+
+    const blob = saveFile('a,b', 'report.csv', 'text/csv');
+
+    document.removeEventListener('click', listener);
+
+    expect(blob).to.be.an.instanceof(Blob);
+    expect(blob.type).to.equal('text/csv');
+    expect(anchor.download).to.equal('report.csv');
+    expect(anchor.href).to.equal('blob:file');
+    expect(anchor.parentNode).to.equal(null);
+
+    clock.tick(1000);
+
+    expect(revoked).to.deep.equal(['blob:file']);
+  });
+
+  it('should save Blobs as they are', () => {
+    const blob = new Blob(['%PDF'], {type: 'application/pdf'});
+
+    document.addEventListener('click', preventDefault);
+
+    expect(saveFile(blob, 'report.pdf')).to.equal(blob);
+
+    document.removeEventListener('click', preventDefault);
+
+    function preventDefault(ev) {
+      ev.preventDefault();
+    }
+  });
+
+});
@@ -0,0 +1,18 @@
+/**
+ * @author rik
+ */
+import serialize from '../../../src/lib/helpers/serialize';
+
+describe('serialize', () => {
+
+  it('should serialize equal objects the same regardless of the order of their keys', () => {
+    expect(serialize({b: 1, a: {d: 2, c: 3}})).to.equal(serialize({a: {c: 3, d: 2}, b: 1}));
+  });
+
+  it('should describe files by their size and type', () => {
+    const file = new Blob(['abc'], {type: 'text/plain'});
+
+    expect(serialize({file})).to.equal('{"file":{"size":3,"type":"text/plain"}}');
+  });
+
+});